@@ -0,0 +1,105 @@
+/*globals jQuery, SUDOKU */
+
+// Adds best times per puzzle and per difficulty, kept in localStorage.
+(function(module, $) {
+	"use strict";
+
+	var storageKey = "sudoku.bestTimes";
+
+	function readTimes() {
+		return $.extend({ puzzles: {}, difficulties: {} }, module.storage.read(storageKey));
+	}
+
+	/**
+	 * Records the time of a solved puzzle, keeping it if it beats the best times so far.
+	 *
+	 * @param {string} puzzle The puzzle, as its board definition string.
+	 * @param {string} difficulty The difficulty of the puzzle, one of SUDOKU.Grader.difficulties.
+	 * @param {number} time The time it took to solve the puzzle, in milliseconds.
+	 * @return {object} An object with the properties puzzleBest and difficultyBest (the best times
+	 *                  after recording this one) and isPuzzleBest and isDifficultyBest (whether
+	 *                  this time is a new best).
+	 */
+	function record(puzzle, difficulty, time) {
+		var times = readTimes();
+		var previousPuzzleBest = times.puzzles[puzzle];
+		var previousDifficultyBest = times.difficulties[difficulty];
+		var isPuzzleBest = previousPuzzleBest === undefined || time < previousPuzzleBest;
+		var isDifficultyBest = previousDifficultyBest === undefined || time < previousDifficultyBest;
+
+		if (isPuzzleBest) {
+			times.puzzles[puzzle] = time;
+		}
+		if (isDifficultyBest) {
+			times.difficulties[difficulty] = time;
+		}
+		module.storage.write(storageKey, times);
+
+		return {
+			puzzleBest: times.puzzles[puzzle],
+			difficultyBest: times.difficulties[difficulty],
+			isPuzzleBest: isPuzzleBest,
+			isDifficultyBest: isDifficultyBest
+		};
+	}
+
+	/**
+	 * Returns the best time for a puzzle.
+	 *
+	 * @param {string} puzzle The puzzle, as its board definition string.
+	 * @return {number} The best time in milliseconds, or null if the puzzle hasn't been solved.
+	 */
+	function getPuzzleBest(puzzle) {
+		var time = readTimes().puzzles[puzzle];
+		return time === undefined ? null : time;
+	}
+
+	/**
+	 * Returns the best time for a difficulty.
+	 *
+	 * @param {string} difficulty One of SUDOKU.Grader.difficulties.
+	 * @return {number} The best time in milliseconds, or null if no puzzle of that difficulty has
+	 *                  been solved.
+	 */
+	function getDifficultyBest(difficulty) {
+		var time = readTimes().difficulties[difficulty];
+		return time === undefined ? null : time;
+	}
+
+	/**
+	 * Forgets all best times.
+	 */
+	function clear() {
+		module.storage.write(storageKey, { puzzles: {}, difficulties: {} });
+	}
+
+	/**
+	 * Formats a time for display, as minutes and seconds, with hours if needed.
+	 *
+	 * @param {number} time The time in milliseconds.
+	 * @return {string} The formatted time, e.g. "4:05" or "1:02:09".
+	 */
+	function formatTime(time) {
+		var seconds = Math.floor(time / 1000);
+		var hours = Math.floor(seconds / 3600);
+		var minutes = Math.floor(seconds / 60) % 60;
+
+		function pad(n) {
+			return n < 10 ? "0" + n : String(n);
+		}
+
+		seconds = seconds % 60;
+		if (hours) {
+			return hours + ":" + pad(minutes) + ":" + pad(seconds);
+		}
+		return minutes + ":" + pad(seconds);
+	}
+
+	module.BestTimes = {
+		record: record,
+		getPuzzleBest: getPuzzleBest,
+		getDifficultyBest: getDifficultyBest,
+		clear: clear,
+		formatTime: formatTime
+	};
+}(SUDOKU, jQuery));
@@ -0,0 +1,421 @@
+/*globals jQuery, SUDOKU */
+
+// Adds a puzzle generator to SUDOKU.
+(function(module, $) {
+	"use strict";
+
+	var ROTATIONAL = "rotational";
+	var MIRROR = "mirror";
+	var NONE = "none";
+
+	/** The most cells in the Killer Sudoku cages made by the generator. */
+	var maxCageSize = 4;
+
+	/** How many times per cell the generator tries to swap cells between Jigsaw Sudoku regions. */
+	var regionSwapsPerCell = 16;
+
+	function getDefaultMinClues(size, variantClues) {
+		if (size < 9) {
+			return 0;
+		} else if (size === 9) {
+			// Cage sums and dots are clues too.
+			return variantClues ? 0 : 17;
+		} else {
+			// Proving that sparser puzzles have a unique solution takes the solver too long.
+			return Math.ceil(size * size * 0.45);
+		}
+	}
+
+	/**
+	 * Creates a puzzle generator.
+	 *
+	 * @class Generates puzzles with a unique solution by filling a random grid and then removing
+	 *        givens for as long as the solution stays unique, the puzzle does not get harder than
+	 *        the target difficulty and at least minClues givens are left.
+	 * @constructor
+	 * @param {object} options Optional; an object with the following optional properties:
+	 *                         size (the number of rows and columns; 9 by default), boxWidth and
+	 *                         boxHeight (the shape of the boxes; see SUDOKU.Board), constraints
+	 *                         (the names of constraints to add to the rules; none by default),
+	 *                         regions (a region map for Jigsaw Sudoku; see SUDOKU.Board), jigsaw
+	 *                         (whether to make random regions for Jigsaw Sudoku instead, on
+	 *                         boards with one grid; false by default), grids
+	 *                         (the grids of a multi-grid board such as SUDOKU.Board.SAMURAI),
+	 *                         cages (whether to divide the solution into Killer Sudoku cages;
+	 *                         false by default), dots (whether to put Kropki dots between all
+	 *                         neighbouring cells whose values are consecutive or double the other;
+	 *                         false by default), difficulty (one of SUDOKU.Grader.difficulties; any difficulty if not
+	 *                         given), minClues and maxClues (the range of the number of givens,
+	 *                         inclusive; by default from 17 on 9x9 boards, from 45% of the cells on
+	 *                         larger boards, and from none on smaller boards and 9x9 boards with
+	 *                         cages or dots, up to all cells),
+	 *                         symmetry (one of Generator.ROTATIONAL, Generator.MIRROR and
+	 *                         Generator.NONE; rotational by default), maxAttempts (how many puzzles
+	 *                         to try before giving up; 100 by default) and random (a function like
+	 *                         Math.random).
+	 */
+	function Generator(options) {
+		var size = (options && options.size) || 9;
+		var grids = (options && options.grids) || [{ row: 1, column: 1 }];
+		var width = size + Math.max.apply(null, $.map(grids, function(grid) {
+			return grid.row - 1;
+		}));
+		var cellCount = width * width;
+
+		var settings = $.extend({
+			boxWidth: undefined,
+			boxHeight: undefined,
+			constraints: [],
+			regions: null,
+			jigsaw: false,
+			grids: null,
+			cages: false,
+			dots: false,
+			difficulty: null,
+			minClues: getDefaultMinClues(size, options && (options.cages || options.dots)),
+			maxClues: cellCount,
+			symmetry: ROTATIONAL,
+			maxAttempts: 100,
+			random: Math.random
+		}, options);
+
+		var boardOptions = {
+			boxWidth: settings.boxWidth,
+			boxHeight: settings.boxHeight,
+			constraints: settings.constraints,
+			regions: settings.regions,
+			grids: settings.grids,
+			cages: [],
+			edges: []
+		};
+
+		function createBoard(boardDef) {
+			return new module.Board(boardDef, boardOptions);
+		}
+
+		function shuffle(arr) {
+			var i, j, tmp;
+			for (i = arr.length - 1; i > 0; i -= 1) {
+				j = Math.floor(settings.random() * (i + 1));
+				tmp = arr[i];
+				arr[i] = arr[j];
+				arr[j] = tmp;
+			}
+			return arr;
+		}
+
+		function getCellIndices() {
+			var indices = [];
+			var idx;
+			for (idx = 0; idx < cellCount; idx += 1) {
+				indices.push(idx);
+			}
+			return indices;
+		}
+
+		/**
+		 * Returns the cells next to a group of cells, above, below or beside one of them.
+		 */
+		function getNeighbours(cellIdxs) {
+			var neighbours = [];
+			$.each(cellIdxs, function(i, idx) {
+				var col = idx % width;
+				$.each([col > 0 ? idx - 1 : -1, col < width - 1 ? idx + 1 : -1, idx - width, idx + width], function(j, other) {
+					if (other >= 0 && other < cellCount && $.inArray(other, cellIdxs) === -1) {
+						neighbours.push(other);
+					}
+				});
+			});
+			return neighbours;
+		}
+
+		/**
+		 * Divides the cells of a solution into Killer Sudoku cages of neighbouring cells with
+		 * different values. The cages have random sizes up to maxCageSize, though a cell can be
+		 * left on its own when its neighbours are taken.
+		 */
+		function makeCages(values) {
+			var cellCages = [];
+			var cages = [];
+
+			$.each(shuffle(getCellIndices()), function(i, start) {
+				var cageSize = 2 + Math.floor(settings.random() * (maxCageSize - 1));
+				var cells = [start];
+				var sum = module.parseValue(values[start]);
+				var candidates, next;
+
+				// The positions between the grids have no value.
+				if (cellCages[start] !== undefined || values[start] === "0") {
+					return;
+				}
+				cellCages[start] = cages.length;
+				while (cells.length < cageSize) {
+					candidates = $.grep(getNeighbours(cells), function(other) {
+						return cellCages[other] === undefined && values[other] !== "0" &&
+							$.inArray(values[other], $.map(cells, function(cellIdx) {
+								return values[cellIdx];
+							})) === -1;
+					});
+					if (!candidates.length) {
+						break;
+					}
+					next = candidates[Math.floor(settings.random() * candidates.length)];
+					cellCages[next] = cages.length;
+					cells.push(next);
+					sum += module.parseValue(values[next]);
+				}
+				cages.push({
+					sum: sum,
+					cells: cells.sort(function(a, b) {
+						return a - b;
+					})
+				});
+			});
+			return cages;
+		}
+
+		/**
+		 * Makes irregular regions for Jigsaw Sudoku that fit a solution, by swapping cells with the
+		 * same value between neighbouring boxes as long as both regions stay in one piece. Solving
+		 * an empty board with random regions can take very long, but this way the solution is
+		 * known.
+		 *
+		 * @return {string} The region map, see SUDOKU.Board.
+		 */
+		function makeRegions(values) {
+			var cellRegions = [];
+			var i, first, second, firstRegion, secondRegion, candidates;
+
+			function isConnected(region) {
+				var regionCells = $.grep(getCellIndices(), function(idx) {
+					return cellRegions[idx] === region;
+				});
+				var reached = [regionCells[0]];
+				var j;
+				for (j = 0; j < reached.length; j += 1) {
+					$.each(getNeighbours([reached[j]]), function(k, other) {
+						if (cellRegions[other] === region && $.inArray(other, reached) === -1) {
+							reached.push(other);
+						}
+					});
+				}
+				return reached.length === regionCells.length;
+			}
+
+			$.each(createBoard(new Array(cellCount + 1).join("0")).getUnits("box"), function(region, box) {
+				$.each(box, function(j, idx) {
+					cellRegions[idx] = region;
+				});
+			});
+			for (i = 0; i < cellCount * regionSwapsPerCell; i += 1) {
+				first = Math.floor(settings.random() * cellCount);
+				firstRegion = cellRegions[first];
+				candidates = $.grep(getNeighbours([first]), function(other) {
+					return cellRegions[other] !== firstRegion;
+				});
+				if (candidates.length) {
+					secondRegion = cellRegions[candidates[Math.floor(settings.random() * candidates.length)]];
+					second = $.grep(getCellIndices(), function(idx) {
+						return cellRegions[idx] === secondRegion && values[idx] === values[first];
+					})[0];
+					cellRegions[first] = secondRegion;
+					cellRegions[second] = firstRegion;
+					if (!isConnected(firstRegion) || !isConnected(secondRegion)) {
+						cellRegions[first] = firstRegion;
+						cellRegions[second] = secondRegion;
+					}
+				}
+			}
+			return $.map(cellRegions, function(region) {
+				return module.formatValue(region + 1);
+			}).join("");
+		}
+
+		/**
+		 * Puts Kropki dots on the borders between neighbouring cells of a solution: a black dot
+		 * where one value is double the other, otherwise a white dot where the values are
+		 * consecutive. 1 and 2 get a black dot.
+		 */
+		function makeDots(values) {
+			var edges = [];
+			var idx;
+
+			function addDot(first, second) {
+				var a = module.parseValue(values[first]);
+				var b = module.parseValue(values[second]);
+				// The positions between the grids have no value.
+				if (!a || !b) {
+					return;
+				}
+				if (a === 2 * b || b === 2 * a) {
+					edges.push({ type: "b", cells: [first, second] });
+				} else if (Math.abs(a - b) === 1) {
+					edges.push({ type: "w", cells: [first, second] });
+				}
+			}
+
+			for (idx = 0; idx < cellCount; idx += 1) {
+				if (idx % width < width - 1) {
+					addDot(idx, idx + 1);
+				}
+				if (idx + width < cellCount) {
+					addDot(idx, idx + width);
+				}
+			}
+			return edges;
+		}
+
+		/**
+		 * Returns the sections of the board definition for what the generator made besides the
+		 * givens, see SUDOKU.Board.
+		 */
+		function getSections() {
+			var sections = "";
+			if (settings.jigsaw) {
+				sections += ";regions=" + boardOptions.regions;
+			}
+			if (boardOptions.cages.length) {
+				sections += ";cages=" + $.map(boardOptions.cages, function(cage) {
+					return cage.sum + ":" + cage.cells.join(",");
+				}).join("/");
+			}
+			if (boardOptions.edges.length) {
+				sections += ";edges=" + $.map(boardOptions.edges, function(edge) {
+					return edge.type + ":" + edge.cells.join(",");
+				}).join("/");
+			}
+			return sections;
+		}
+
+		function getPartner(idx) {
+			var row = Math.floor(idx / width);
+			var col = idx % width;
+			switch (settings.symmetry) {
+				case ROTATIONAL:
+					return cellCount - 1 - idx;
+				case MIRROR:
+					return row * width + (width - 1 - col);
+				default:
+					return idx;
+			}
+		}
+
+		/**
+		 * Returns the cells grouped so that each group has to be removed together to keep the
+		 * symmetry, in random order.
+		 */
+		function getRemovalGroups() {
+			var board = createBoard(new Array(cellCount + 1).join("0"));
+			var groups = [];
+			var seen = {};
+			var idx, partner;
+
+			function isInGrid(cellIdx) {
+				return board.isInGrid(Math.floor(cellIdx / width) + 1, cellIdx % width + 1);
+			}
+
+			for (idx = 0; idx < cellCount; idx += 1) {
+				if (!seen[idx] && isInGrid(idx)) {
+					partner = isInGrid(getPartner(idx)) ? getPartner(idx) : idx;
+					seen[idx] = true;
+					seen[partner] = true;
+					groups.push(partner === idx ? [idx] : [idx, partner]);
+				}
+			}
+			return shuffle(groups);
+		}
+
+		function isTooHard(boardDef) {
+			var difficulties = module.Grader.difficulties;
+			var grade = module.Grader.grade(createBoard(boardDef));
+			return $.inArray(grade.difficulty, difficulties) > $.inArray(settings.difficulty, difficulties);
+		}
+
+		function attempt() {
+			var emptyDef = new Array(cellCount + 1).join("0");
+			var solution, values, boardDef, clues;
+
+			// The regions are made to fit the solution of a board with boxes.
+			boardOptions.regions = settings.regions;
+			solution = new module.Solver(createBoard(emptyDef), { random: settings.random }).solve();
+
+			if (!solution) {
+				// The constraints can't all be met on a board of this size.
+				return null;
+			}
+			values = solution.split("");
+			if (settings.jigsaw) {
+				boardOptions.regions = makeRegions(values);
+			}
+			if (settings.cages) {
+				boardOptions.cages = makeCages(values);
+			}
+			if (settings.dots) {
+				boardOptions.edges = makeDots(values);
+			}
+			// Every cell is a given at first, apart from the positions between the grids.
+			clues = $.grep(values, function(value) {
+				return value !== "0";
+			}).length;
+
+			$.each(getRemovalGroups(), function(i, group) {
+				var removed = $.map(group, function(idx) {
+					return values[idx];
+				});
+
+				if (clues - group.length < settings.minClues) {
+					return;
+				}
+
+				$.each(group, function(j, idx) {
+					values[idx] = "0";
+				});
+				boardDef = values.join("");
+
+				if (new module.Solver(createBoard(boardDef)).countSolutions(2) !== 1 ||
+						(settings.difficulty && isTooHard(boardDef))) {
+					// Put the givens back.
+					$.each(group, function(j, idx) {
+						values[idx] = removed[j];
+					});
+				} else {
+					clues -= group.length;
+				}
+			});
+
+			boardDef = values.join("");
+			if (clues > settings.maxClues) {
+				return null;
+			}
+			if (settings.difficulty && module.Grader.grade(createBoard(boardDef)).difficulty !== settings.difficulty) {
+				return null;
+			}
+			return boardDef + getSections();
+		}
+
+		/**
+		 * Generates a puzzle.
+		 *
+		 * @return {string} A board definition string with a unique solution, or null if no puzzle
+		 *                  matching the options was found within maxAttempts attempts. The
+		 *                  random regions, cages and dots are in the definition, but the rest of
+		 *                  the options are not.
+		 */
+		this.generate = function() {
+			var i, boardDef;
+			for (i = 0; i < settings.maxAttempts; i += 1) {
+				boardDef = attempt();
+				if (boardDef) {
+					return boardDef;
+				}
+			}
+			return null;
+		};
+	}
+
+	Generator.ROTATIONAL = ROTATIONAL;
+	Generator.MIRROR = MIRROR;
+	Generator.NONE = NONE;
+
+	module.Generator = Generator;
+}(SUDOKU, jQuery));
@@ -0,0 +1,144 @@
+/*globals jQuery, SUDOKU */
+
+// Adds difficulty grading to SUDOKU, based on the techniques the logical solver needs.
+(function(module, $) {
+	"use strict";
+
+	var LogicSolver = module.LogicSolver;
+
+	var EASY = "easy";
+	var MEDIUM = "medium";
+	var HARD = "hard";
+	var EXPERT = "expert";
+
+	var difficulties = [EASY, MEDIUM, HARD, EXPERT];
+
+	/** How much each technique adds to the score, and the difficulty it implies on its own. */
+	var techniqueGrades = {};
+	techniqueGrades[LogicSolver.HIDDEN_SINGLE] = { weight: 1, difficulty: EASY };
+	techniqueGrades[LogicSolver.NAKED_SINGLE] = { weight: 2, difficulty: EASY };
+	techniqueGrades[LogicSolver.CAGE_COMBINATION] = { weight: 3, difficulty: EASY };
+	techniqueGrades[LogicSolver.EDGE_MARKER] = { weight: 3, difficulty: EASY };
+	techniqueGrades[LogicSolver.LOCKED_CANDIDATES] = { weight: 5, difficulty: MEDIUM };
+	techniqueGrades[LogicSolver.NAKED_PAIR] = { weight: 10, difficulty: HARD };
+	techniqueGrades[LogicSolver.HIDDEN_PAIR] = { weight: 10, difficulty: HARD };
+	techniqueGrades[LogicSolver.NAKED_TRIPLE] = { weight: 15, difficulty: HARD };
+	techniqueGrades[LogicSolver.HIDDEN_TRIPLE] = { weight: 15, difficulty: HARD };
+	techniqueGrades[LogicSolver.X_WING] = { weight: 25, difficulty: EXPERT };
+	techniqueGrades[LogicSolver.SWORDFISH] = { weight: 30, difficulty: EXPERT };
+	techniqueGrades[LogicSolver.XY_WING] = { weight: 30, difficulty: EXPERT };
+
+	/** Added to the score of puzzles the logical solver cannot finish. */
+	var unsolvedPenalty = 100;
+
+	/**
+	 * A puzzle that needs its hardest technique more often than this is moved up one difficulty,
+	 * as it takes considerably longer to solve.
+	 */
+	var maxStepsBeforeBump = 3;
+
+	var gradeCache = {};
+
+	/**
+	 * Grades a board by solving it with the logical solver.
+	 *
+	 * @param {Board|string} board The board to grade, or a board definition string.
+	 * @return {object} An object with the properties difficulty (one of Grader.difficulties),
+	 *                  score (higher is harder), hardestTechnique (the name of the hardest
+	 *                  technique needed, or null if the logical solver could not finish the puzzle),
+	 *                  steps (the number of steps taken) and solved (whether the logical solver
+	 *                  could finish the puzzle).
+	 */
+	function grade(board) {
+		var result = new LogicSolver(board).solve();
+		var score = 0;
+		var hardestIdx = -1, hardestCount = 0;
+		var hardestTechnique = null;
+		var difficultyIdx;
+
+		$.each(result.steps, function(i, step) {
+			var techniqueIdx = $.inArray(step.technique, LogicSolver.techniques);
+			score += techniqueGrades[step.technique].weight;
+			if (techniqueIdx > hardestIdx) {
+				hardestIdx = techniqueIdx;
+				hardestCount = 1;
+			} else if (techniqueIdx === hardestIdx) {
+				hardestCount += 1;
+			}
+		});
+
+		if (result.solved) {
+			hardestTechnique = hardestIdx === -1 ? null : LogicSolver.techniques[hardestIdx];
+			difficultyIdx = hardestTechnique ?
+				$.inArray(techniqueGrades[hardestTechnique].difficulty, difficulties) : 0;
+			if (hardestCount > maxStepsBeforeBump && hardestIdx > 0) {
+				difficultyIdx = Math.min(difficultyIdx + 1, difficulties.length - 1);
+			}
+		} else {
+			score += unsolvedPenalty;
+			difficultyIdx = difficulties.length - 1;
+		}
+
+		return {
+			difficulty: difficulties[difficultyIdx],
+			score: score,
+			hardestTechnique: hardestTechnique,
+			steps: result.steps.length,
+			solved: result.solved
+		};
+	}
+
+	/**
+	 * Grades the board at the given index of SUDOKU.sudokuBoards. Grades are cached, so each
+	 * board is only solved once.
+	 *
+	 * @param {number} idx The index of the board.
+	 * @return {object} The grade, as returned by grade().
+	 */
+	function gradeBoardAt(idx) {
+		if (!gradeCache.hasOwnProperty(idx)) {
+			gradeCache[idx] = grade(module.sudokuBoards[idx]);
+		}
+		return gradeCache[idx];
+	}
+
+	/**
+	 * Picks a random board of the given difficulty from SUDOKU.sudokuBoards. Boards are graded
+	 * on demand in random order until one matches, so the whole list is not graded up front.
+	 *
+	 * @param {string} difficulty One of Grader.difficulties.
+	 * @return {number} The index of the board, or -1 if there is no board of that difficulty.
+	 */
+	function pickRandomBoard(difficulty) {
+		var indices = [];
+		var i, j, tmp;
+
+		for (i = 0; i < module.sudokuBoards.length; i += 1) {
+			indices.push(i);
+		}
+		for (i = 0; i < indices.length; i += 1) {
+			// Shuffle lazily, only as far as we get.
+			j = i + Math.floor(Math.random() * (indices.length - i));
+			tmp = indices[i];
+			indices[i] = indices[j];
+			indices[j] = tmp;
+
+			if (gradeBoardAt(indices[i]).difficulty === difficulty) {
+				return indices[i];
+			}
+		}
+		return -1;
+	}
+
+	module.Grader = {
+		EASY: EASY,
+		MEDIUM: MEDIUM,
+		HARD: HARD,
+		EXPERT: EXPERT,
+		/** The difficulties, from the easiest to the hardest. */
+		difficulties: difficulties,
+		grade: grade,
+		gradeBoardAt: gradeBoardAt,
+		pickRandomBoard: pickRandomBoard
+	};
+}(SUDOKU, jQuery));
@@ -0,0 +1,769 @@
+/*globals jQuery, SUDOKU */
+
+// Adds a solver that only uses techniques a human player would use.
+(function(module, $) {
+	"use strict";
+
+	function bitCount(mask) {
+		var count = 0;
+		while (mask) {
+			mask &= mask - 1;
+			count += 1;
+		}
+		return count;
+	}
+
+	function combinations(arr, k) {
+		var result = [];
+
+		function pick(start, chosen) {
+			var i;
+			if (chosen.length === k) {
+				result.push(chosen.slice());
+				return;
+			}
+			for (i = start; i < arr.length; i += 1) {
+				chosen.push(arr[i]);
+				pick(i + 1, chosen);
+				chosen.pop();
+			}
+		}
+
+		pick(0, []);
+		return result;
+	}
+
+	function joinNames(names) {
+		if (names.length < 2) {
+			return names.join("");
+		}
+		return names.slice(0, -1).join(", ") + " and " + names[names.length - 1];
+	}
+
+	/**
+	 * Creates a logical solver for a sudoku board.
+	 *
+	 * @class Solves sudoku boards step by step using human techniques only, recording which
+	 *        technique was used for each step. The solver works on its own copy of the board.
+	 * @constructor
+	 * @param {Board|string} board The board to solve, or a board definition string. The current
+	 *                             values of the board are used, not only the fixed ones.
+	 * @param {Array} eliminations Optional; candidates already ruled out, as objects with the
+	 *                             properties row, column and value (like the eliminations of a
+	 *                             step).
+	 */
+	function LogicSolver(board, eliminations) {
+		var size, width, allValues;
+		var values = [], candidates = [], positions = [], gridCells = [];
+		var units = [], unitsByType = {};
+		// The rows, columns and boxes of each grid, which cover each of its cells once.
+		var grids = [];
+		var peers = [], peerSets = [];
+		var cages = [];
+		var edges = [];
+
+		function init() {
+			var cells;
+
+			if (typeof board === "string") {
+				board = new module.Board(board);
+			}
+
+			cells = board.getBoard();
+			$.each(cells, function(idx, cell) {
+				values[idx] = cell.value;
+				positions[idx] = { row: cell.row, column: cell.column };
+				peers[idx] = [];
+				peerSets[idx] = {};
+				// Boards of several grids have positions between the grids that aren't filled.
+				if (board.isInGrid(cell.row, cell.column)) {
+					gridCells.push(idx);
+				}
+			});
+
+			$.each(["row", "column", "box"].concat(board.getConstraints()), function(i, type) {
+				unitsByType[type] = [];
+				$.each(board.getUnits(type), function(unitIdx, unitCells) {
+					var unit = { type: type, number: unitIdx + 1, cells: unitCells };
+					units.push(unit);
+					unitsByType[type].push(unit);
+					$.each(unitCells, function(j, cellIdx) {
+						$.each(unitCells, function(k, otherIdx) {
+							if (otherIdx !== cellIdx && !peerSets[cellIdx][otherIdx]) {
+								peerSets[cellIdx][otherIdx] = true;
+								peers[cellIdx].push(otherIdx);
+							}
+						});
+					});
+				});
+			});
+
+			function addPeers(first, second) {
+				if (first !== second && !peerSets[first][second]) {
+					peerSets[first][second] = peerSets[second][first] = true;
+					peers[first].push(second);
+					peers[second].push(first);
+				}
+			}
+
+			$.each(board.getPairs(), function(i, pair) {
+				addPeers(pair[0], pair[1]);
+			});
+			cages = board.getCages();
+			$.each(cages, function(i, cage) {
+				$.each(cage.cells, function(j, first) {
+					$.each(cage.cells, function(k, second) {
+						addPeers(first, second);
+					});
+				});
+			});
+
+			edges = board.getEdges();
+
+			size = board.getSize();
+			width = board.getWidth();
+			allValues = (1 << (size + 1)) - 2;
+			initGrids();
+
+			$.each(values, function(idx, value) {
+				var used = 0;
+				if (value || !board.isInGrid(positions[idx].row, positions[idx].column)) {
+					candidates[idx] = 0;
+				} else {
+					$.each(peers[idx], function(i, peerIdx) {
+						used |= 1 << values[peerIdx];
+					});
+					candidates[idx] = allValues & ~used;
+				}
+			});
+
+			$.each(eliminations || [], function(i, elimination) {
+				var idx = (elimination.row - 1) * width + (elimination.column - 1);
+				candidates[idx] &= ~(1 << elimination.value);
+			});
+		}
+
+		/**
+		 * Groups the rows, columns and boxes by the grid they are in. On boards of several grids
+		 * a cell can be in a row and a column of two grids, and the boxes in the corners are in
+		 * both.
+		 */
+		function initGrids() {
+			$.each(board.getGrids(), function(i, position) {
+				var grid = { unitsByType: {}, cellUnitByType: {} };
+				$.each(["row", "column", "box"], function(j, type) {
+					grid.unitsByType[type] = $.grep(unitsByType[type], function(unit) {
+						return $.grep(unit.cells, function(idx) {
+							return positions[idx].row < position.row || positions[idx].row >= position.row + size ||
+									positions[idx].column < position.column || positions[idx].column >= position.column + size;
+						}).length === 0;
+					});
+					grid.cellUnitByType[type] = [];
+					$.each(grid.unitsByType[type], function(k, unit) {
+						$.each(unit.cells, function(n, idx) {
+							grid.cellUnitByType[type][idx] = unit;
+						});
+					});
+				});
+				grids.push(grid);
+			});
+		}
+
+		function cellName(idx) {
+			return "r" + positions[idx].row + "c" + positions[idx].column;
+		}
+
+		function cellNames(cellIdxs) {
+			return joinNames($.map(cellIdxs, cellName));
+		}
+
+		function unitName(unit) {
+			return unit.type + " " + unitNumber(unit);
+		}
+
+		/**
+		 * Returns the number of a unit as the player sees it: rows and columns are numbered as on
+		 * the whole board, which on boards of several grids differs from the index of the unit.
+		 */
+		function unitNumber(unit) {
+			if (unit.type === "row") {
+				return positions[unit.cells[0]].row;
+			} else if (unit.type === "column") {
+				return positions[unit.cells[0]].column;
+			}
+			return unit.number;
+		}
+
+		function valuesInMask(mask) {
+			var result = [];
+			var value;
+			for (value = 1; value <= size; value += 1) {
+				if (mask & (1 << value)) {
+					result.push(value);
+				}
+			}
+			return result;
+		}
+
+		function cellsWithCandidate(cellIdxs, value) {
+			return $.grep(cellIdxs, function(idx) {
+				return !values[idx] && (candidates[idx] & (1 << value)) !== 0;
+			});
+		}
+
+		function commonUnit(grid, cellIdxs, type) {
+			var unit = grid.cellUnitByType[type][cellIdxs[0]];
+			var i;
+			for (i = 1; i < cellIdxs.length; i += 1) {
+				if (grid.cellUnitByType[type][cellIdxs[i]] !== unit) {
+					return null;
+				}
+			}
+			return unit;
+		}
+
+		function makeStep(technique, unit, cellIdxs, placements, eliminations, description) {
+			function toCell(idx) {
+				return { row: positions[idx].row, column: positions[idx].column };
+			}
+			function toChange(change) {
+				return { row: positions[change.idx].row, column: positions[change.idx].column, value: change.value };
+			}
+
+			return {
+				technique: technique,
+				unit: unit ? { type: unit.type, number: unit.number } : null,
+				cells: $.map(cellIdxs, toCell),
+				placements: $.map(placements, toChange),
+				eliminations: $.map(eliminations, toChange),
+				description: technique + ": " + description
+			};
+		}
+
+		function findHiddenSingle() {
+			var step = null;
+			var constraintUnits = $.grep(units, function(unit) {
+				return $.inArray(unit.type, ["row", "column", "box"]) === -1;
+			});
+			// Boxes first, as that is where most players look for them, and the units of
+			// constraints such as the diagonals last.
+			$.each(unitsByType.box.concat(unitsByType.row, unitsByType.column, constraintUnits), function(i, unit) {
+				var value, where;
+				for (value = 1; value <= size; value += 1) {
+					where = cellsWithCandidate(unit.cells, value);
+					if (where.length === 1) {
+						step = makeStep(LogicSolver.HIDDEN_SINGLE, unit, where,
+						                [{ idx: where[0], value: value }], [],
+						                value + " can only go in " + cellName(where[0]) + " within " + unitName(unit));
+						return false;
+					}
+				}
+			});
+			return step;
+		}
+
+		function findNakedSingle() {
+			var idx, value;
+			for (idx = 0; idx < values.length; idx += 1) {
+				if (!values[idx] && bitCount(candidates[idx]) === 1) {
+					value = valuesInMask(candidates[idx])[0];
+					return makeStep(LogicSolver.NAKED_SINGLE, null, [idx], [{ idx: idx, value: value }], [],
+					                cellName(idx) + " can only be " + value);
+				}
+			}
+			return null;
+		}
+
+		function findCageCombination() {
+			var step = null;
+
+			$.each(cages, function(i, cage) {
+				var empty = $.grep(cage.cells, function(idx) {
+					return !values[idx];
+				});
+				var total = cage.sum, placed = 0, possible = 0;
+				var eliminations = [];
+
+				if (!empty.length) {
+					return;
+				}
+				$.each(cage.cells, function(j, idx) {
+					total -= values[idx];
+					placed |= 1 << values[idx];
+				});
+
+				// The values that are part of a combination adding up to the rest of the sum, where
+				// every empty cell can take one of the values and every value fits in some cell.
+				$.each(combinations(valuesInMask(allValues & ~placed), empty.length), function(j, combination) {
+					var mask = 0, sum = 0, covered = 0;
+					var fits = true;
+					$.each(combination, function(k, value) {
+						mask |= 1 << value;
+						sum += value;
+					});
+					if (sum !== total) {
+						return;
+					}
+					$.each(empty, function(k, idx) {
+						fits = fits && (candidates[idx] & mask) !== 0;
+						covered |= candidates[idx] & mask;
+					});
+					if (fits && covered === mask) {
+						possible |= mask;
+					}
+				});
+
+				$.each(empty, function(j, idx) {
+					$.each(valuesInMask(candidates[idx] & ~possible), function(k, value) {
+						eliminations.push({ idx: idx, value: value });
+					});
+				});
+				if (eliminations.length) {
+					step = makeStep(LogicSolver.CAGE_COMBINATION, null, cage.cells, [], eliminations,
+					                "the cage " + cellNames(cage.cells) + " adds up to " + cage.sum +
+					                ", so its empty cells can only have " + joinNames(valuesInMask(possible)));
+					return false;
+				}
+			});
+			return step;
+		}
+
+		function findEdgeMarker() {
+			var markerNames = { w: "white dot", b: "black dot", g: "greater-than sign" };
+			var step = null;
+
+			$.each(edges, function(i, edge) {
+				var eliminations = [], ruledOut = [];
+
+				// A value is only possible if a value the other cell can still have fits with it.
+				$.each([0, 1], function(j, side) {
+					var idx = edge.cells[side], otherIdx = edge.cells[1 - side];
+					var otherValues = values[otherIdx] ? [values[otherIdx]] : valuesInMask(candidates[otherIdx]);
+					var removed = $.grep(values[idx] ? [] : valuesInMask(candidates[idx]), function(value) {
+						return $.grep(otherValues, function(otherValue) {
+							return side === 0 ? module.isEdgeSatisfied(edge.type, value, otherValue) :
+							                    module.isEdgeSatisfied(edge.type, otherValue, value);
+						}).length === 0;
+					});
+					$.each(removed, function(k, value) {
+						eliminations.push({ idx: idx, value: value });
+					});
+					if (removed.length) {
+						ruledOut.push(joinNames(removed) + " for " + cellName(idx));
+					}
+				});
+				if (eliminations.length) {
+					step = makeStep(LogicSolver.EDGE_MARKER, null, edge.cells, [], eliminations,
+					                "the " + markerNames[edge.type] + " between " + cellNames(edge.cells) +
+					                " rules out " + ruledOut.join(", and "));
+					return false;
+				}
+			});
+			return step;
+		}
+
+		function findLockedCandidates() {
+			var step = null;
+
+			function check(grid, unit, otherTypes) {
+				var value, where, i, other, eliminations;
+				for (value = 1; value <= size; value += 1) {
+					where = cellsWithCandidate(unit.cells, value);
+					if (where.length < 2) {
+						continue;
+					}
+					for (i = 0; i < otherTypes.length; i += 1) {
+						other = commonUnit(grid, where, otherTypes[i]);
+						if (!other) {
+							continue;
+						}
+						eliminations = $.map(cellsWithCandidate(other.cells, value), function(idx) {
+							return $.inArray(idx, unit.cells) === -1 ? { idx: idx, value: value } : null;
+						});
+						if (eliminations.length) {
+							return makeStep(LogicSolver.LOCKED_CANDIDATES, unit, where, [], eliminations,
+							                "in " + unitName(unit) + ", " + value + " can only go in " + unitName(other) +
+							                ", so it can be removed from the rest of " + unitName(other));
+						}
+					}
+				}
+				return null;
+			}
+
+			// Pointing: a value confined to one line within a box.
+			$.each(grids, function(i, grid) {
+				$.each(grid.unitsByType.box, function(j, unit) {
+					step = check(grid, unit, ["row", "column"]);
+					return !step;
+				});
+				return !step;
+			});
+			if (step) {
+				return step;
+			}
+			// Claiming: a value confined to one box within a line.
+			$.each(grids, function(i, grid) {
+				$.each(grid.unitsByType.row.concat(grid.unitsByType.column), function(j, unit) {
+					step = check(grid, unit, ["box"]);
+					return !step;
+				});
+				return !step;
+			});
+			return step;
+		}
+
+		function findNakedSubset(k, technique) {
+			var step = null;
+			$.each(units, function(i, unit) {
+				var empties = $.grep(unit.cells, function(idx) {
+					var count = bitCount(candidates[idx]);
+					return !values[idx] && count >= 2 && count <= k;
+				});
+				$.each(combinations(empties, k), function(j, subset) {
+					var mask = 0;
+					var eliminations = [];
+					$.each(subset, function(n, idx) {
+						mask |= candidates[idx];
+					});
+					if (bitCount(mask) !== k) {
+						return;
+					}
+					$.each(unit.cells, function(n, idx) {
+						if (!values[idx] && $.inArray(idx, subset) === -1) {
+							$.each(valuesInMask(candidates[idx] & mask), function(m, value) {
+								eliminations.push({ idx: idx, value: value });
+							});
+						}
+					});
+					if (eliminations.length) {
+						step = makeStep(technique, unit, subset, [], eliminations,
+						                cellNames(subset) + " can only be " + joinNames(valuesInMask(mask)) +
+						                ", so those digits can be removed from the rest of " + unitName(unit));
+						return false;
+					}
+				});
+				return !step;
+			});
+			return step;
+		}
+
+		function findHiddenSubset(k, technique) {
+			var step = null;
+			$.each(units, function(i, unit) {
+				var digits = [], where = {};
+				var value;
+				for (value = 1; value <= size; value += 1) {
+					where[value] = cellsWithCandidate(unit.cells, value);
+					if (where[value].length >= 2 && where[value].length <= k) {
+						digits.push(value);
+					}
+				}
+				$.each(combinations(digits, k), function(j, subset) {
+					var cellIdxs = [], mask = 0;
+					var eliminations = [];
+					$.each(subset, function(n, value) {
+						mask |= 1 << value;
+						$.each(where[value], function(m, idx) {
+							if ($.inArray(idx, cellIdxs) === -1) {
+								cellIdxs.push(idx);
+							}
+						});
+					});
+					if (cellIdxs.length !== k) {
+						return;
+					}
+					cellIdxs.sort(function(a, b) { return a - b; });
+					$.each(cellIdxs, function(n, idx) {
+						$.each(valuesInMask(candidates[idx] & ~mask), function(m, value) {
+							eliminations.push({ idx: idx, value: value });
+						});
+					});
+					if (eliminations.length) {
+						step = makeStep(technique, unit, cellIdxs, [], eliminations,
+						                joinNames(subset) + " can only go in " + cellNames(cellIdxs) + " within " +
+						                unitName(unit) + ", so other candidates can be removed from those cells");
+						return false;
+					}
+				});
+				return !step;
+			});
+			return step;
+		}
+
+		function findFish(k, technique) {
+			var step = null;
+			var value;
+
+			function check(grid, baseType, coverType) {
+				var bases = $.grep(grid.unitsByType[baseType], function(unit) {
+					var count = cellsWithCandidate(unit.cells, value).length;
+					return count >= 2 && count <= k;
+				});
+				$.each(combinations(bases, k), function(i, baseSet) {
+					var covers = [], cellIdxs = [];
+					var eliminations = [];
+					$.each(baseSet, function(j, base) {
+						$.each(cellsWithCandidate(base.cells, value), function(n, idx) {
+							var cover = grid.cellUnitByType[coverType][idx];
+							cellIdxs.push(idx);
+							if ($.inArray(cover, covers) === -1) {
+								covers.push(cover);
+							}
+						});
+					});
+					if (covers.length !== k) {
+						return;
+					}
+					covers.sort(function(a, b) { return a.number - b.number; });
+					$.each(covers, function(j, cover) {
+						$.each(cellsWithCandidate(cover.cells, value), function(n, idx) {
+							if ($.inArray(grid.cellUnitByType[baseType][idx], baseSet) === -1) {
+								eliminations.push({ idx: idx, value: value });
+							}
+						});
+					});
+					if (eliminations.length) {
+						cellIdxs.sort(function(a, b) { return a - b; });
+						step = makeStep(technique, null, cellIdxs, [], eliminations,
+						                "in " + baseType + "s " + joinNames($.map(baseSet, unitNumber)) +
+						                ", " + value + " can only go in " + coverType + "s " +
+						                joinNames($.map(covers, unitNumber)) +
+						                ", so it can be removed from the rest of those " + coverType + "s");
+						return false;
+					}
+				});
+			}
+
+			// Fish are only looked for within each grid, where every cell is in one row and one
+			// column.
+			for (value = 1; value <= size && !step; value += 1) {
+				$.each(grids, function(i, grid) {
+					check(grid, "row", "column");
+					if (!step) {
+						check(grid, "column", "row");
+					}
+					return !step;
+				});
+			}
+			return step;
+		}
+
+		function findXYWing() {
+			var pivot, pivotMask;
+			var i, j, first, second, firstShared, z, eliminations;
+
+			function isBivalue(idx) {
+				return !values[idx] && bitCount(candidates[idx]) === 2;
+			}
+
+			for (pivot = 0; pivot < values.length; pivot += 1) {
+				if (!isBivalue(pivot)) {
+					continue;
+				}
+				pivotMask = candidates[pivot];
+				for (i = 0; i < peers[pivot].length; i += 1) {
+					first = peers[pivot][i];
+					firstShared = candidates[first] & pivotMask;
+					if (!isBivalue(first) || bitCount(firstShared) !== 1) {
+						continue;
+					}
+					z = candidates[first] & ~pivotMask;
+					for (j = 0; j < peers[pivot].length; j += 1) {
+						second = peers[pivot][j];
+						if (second === first || !isBivalue(second) ||
+								candidates[second] !== ((pivotMask & ~firstShared) | z)) {
+							continue;
+						}
+						eliminations = $.map(peers[first], function(idx) {
+							return (idx !== pivot && idx !== second && peerSets[second][idx] &&
+									!values[idx] && (candidates[idx] & z)) ? { idx: idx, value: valuesInMask(z)[0] } : null;
+						});
+						if (eliminations.length) {
+							return makeStep(LogicSolver.XY_WING, null, [pivot, first, second], [], eliminations,
+							                "pivot " + cellName(pivot) + " with pincers " + cellName(first) + " and " +
+							                cellName(second) + " removes " + valuesInMask(z)[0] +
+							                " from cells that see both pincers");
+						}
+					}
+				}
+			}
+			return null;
+		}
+
+		var finders = [
+			findHiddenSingle,
+			findNakedSingle,
+			findCageCombination,
+			findEdgeMarker,
+			findLockedCandidates,
+			function() { return findNakedSubset(2, LogicSolver.NAKED_PAIR); },
+			function() { return findHiddenSubset(2, LogicSolver.HIDDEN_PAIR); },
+			function() { return findNakedSubset(3, LogicSolver.NAKED_TRIPLE); },
+			function() { return findHiddenSubset(3, LogicSolver.HIDDEN_TRIPLE); },
+			function() { return findFish(2, LogicSolver.X_WING); },
+			function() { return findFish(3, LogicSolver.SWORDFISH); },
+			findXYWing
+		];
+
+		function isBroken() {
+			var idx, i;
+			for (i = 0; i < cages.length; i += 1) {
+				if (isCageSumBroken(cages[i])) {
+					return true;
+				}
+			}
+			for (i = 0; i < edges.length; i += 1) {
+				if (!module.isEdgeSatisfied(edges[i].type, values[edges[i].cells[0]], values[edges[i].cells[1]])) {
+					return true;
+				}
+			}
+			for (i = 0; i < gridCells.length; i += 1) {
+				idx = gridCells[i];
+				if (!values[idx] && !candidates[idx]) {
+					return true;
+				}
+				if (values[idx]) {
+					if ($.grep(peers[idx], function(peerIdx) { return values[peerIdx] === values[idx]; }).length) {
+						return true;
+					}
+				}
+			}
+			return false;
+		}
+
+		function findStep() {
+			var i, step;
+			if (isBroken()) {
+				return null;
+			}
+			for (i = 0; i < finders.length; i += 1) {
+				step = finders[i]();
+				if (step) {
+					return step;
+				}
+			}
+			return null;
+		}
+
+		function applyStep(step) {
+			$.each(step.placements, function(i, change) {
+				var idx = (change.row - 1) * width + (change.column - 1);
+				values[idx] = change.value;
+				candidates[idx] = 0;
+				$.each(peers[idx], function(j, peerIdx) {
+					candidates[peerIdx] &= ~(1 << change.value);
+				});
+			});
+			$.each(step.eliminations, function(i, change) {
+				var idx = (change.row - 1) * width + (change.column - 1);
+				candidates[idx] &= ~(1 << change.value);
+			});
+		}
+
+		function isCageSumBroken(cage) {
+			var total = 0, full = true;
+			$.each(cage.cells, function(i, idx) {
+				total += values[idx];
+				full = full && values[idx] !== 0;
+			});
+			return total > cage.sum || (full && total !== cage.sum);
+		}
+
+		function isSolved() {
+			return $.grep(gridCells, function(idx) {
+				return !values[idx];
+			}).length === 0 && !isBroken();
+		}
+
+		/**
+		 * Finds the next deduction for the current state of the solver, without applying it.
+		 *
+		 * A step is an object with the properties technique (the name of the technique), unit
+		 * (the row, column or box the deduction was made in as {type, number}, or null), cells
+		 * (the cells that make up the pattern), placements and eliminations (arrays of
+		 * {row, column, value}) and description (a short explanation for the player).
+		 *
+		 * @return {object} The next step, or null if no technique applies.
+		 */
+		this.getNextStep = function() {
+			return findStep();
+		};
+
+		/**
+		 * Finds the next deduction and applies it.
+		 *
+		 * @return {object} The step that was applied, or null if no technique applies.
+		 */
+		this.step = function() {
+			var step = findStep();
+			if (step) {
+				applyStep(step);
+			}
+			return step;
+		};
+
+		/**
+		 * Applies steps until the board is solved or the solver gets stuck.
+		 *
+		 * @return {object} An object with the properties solved (whether the board was solved),
+		 *                  steps (the steps that were applied, in order) and values (the resulting
+		 *                  board definition, with 0 for cells that could not be filled).
+		 */
+		this.solve = function() {
+			var steps = [];
+			var step;
+			while (!isSolved() && (step = this.step()) !== null) {
+				steps.push(step);
+			}
+			return {
+				solved: isSolved(),
+				steps: steps,
+				values: $.map(values, module.formatValue).join("")
+			};
+		};
+
+		/**
+		 * Returns the remaining candidates for the cell at the specified position.
+		 *
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @return {array of number} The candidates, in ascending order. Empty for filled cells.
+		 */
+		this.getCandidates = function(row, col) {
+			return valuesInMask(candidates[(row - 1) * width + (col - 1)]);
+		};
+
+		init();
+	}
+
+	LogicSolver.HIDDEN_SINGLE = "Hidden single";
+	LogicSolver.NAKED_SINGLE = "Naked single";
+	LogicSolver.CAGE_COMBINATION = "Cage combination";
+	LogicSolver.EDGE_MARKER = "Edge marker";
+	LogicSolver.LOCKED_CANDIDATES = "Locked candidates";
+	LogicSolver.NAKED_PAIR = "Naked pair";
+	LogicSolver.HIDDEN_PAIR = "Hidden pair";
+	LogicSolver.NAKED_TRIPLE = "Naked triple";
+	LogicSolver.HIDDEN_TRIPLE = "Hidden triple";
+	LogicSolver.X_WING = "X-Wing";
+	LogicSolver.SWORDFISH = "Swordfish";
+	LogicSolver.XY_WING = "XY-Wing";
+
+	/** The techniques in the order the solver tries them, from the simplest to the hardest. */
+	LogicSolver.techniques = [
+		LogicSolver.HIDDEN_SINGLE,
+		LogicSolver.NAKED_SINGLE,
+		LogicSolver.CAGE_COMBINATION,
+		LogicSolver.EDGE_MARKER,
+		LogicSolver.LOCKED_CANDIDATES,
+		LogicSolver.NAKED_PAIR,
+		LogicSolver.HIDDEN_PAIR,
+		LogicSolver.NAKED_TRIPLE,
+		LogicSolver.HIDDEN_TRIPLE,
+		LogicSolver.X_WING,
+		LogicSolver.SWORDFISH,
+		LogicSolver.XY_WING
+	];
+
+	module.LogicSolver = LogicSolver;
+}(SUDOKU, jQuery));
@@ -0,0 +1,112 @@
+/*globals jQuery, SUDOKU */
+
+// Adds parsing of puzzles in common text formats to SUDOKU.
+(function(module, $) {
+	"use strict";
+
+	var cellCount = 81;
+
+	/** Characters that stand for an empty cell. */
+	var blankChars = "0._";
+
+	/** Characters used to draw grids, which are skipped. */
+	var separatorChars = "|+-= \t";
+
+	function parseError(message, line, column) {
+		return {
+			name: "SudokuParseError",
+			message: "Line " + line + ", column " + column + ": " + message,
+			line: line,
+			column: column
+		};
+	}
+
+	/**
+	 * Parses all puzzles in a text. The following formats are understood, and can be mixed:
+	 * <ul>
+	 * <li>Lines of 81 cells, as in board definition strings and SadMan .sdm files.</li>
+	 * <li>Grids of 9 lines, optionally with separators such as "|", "+" and "-" between boxes
+	 *     and spaces between cells.</li>
+	 * <li>SadMan .sdk files. Only the [Puzzle] section is read.</li>
+	 * </ul>
+	 * Empty cells can be written as "0", "." or "_". Everything after "#" or "//" on a line is a
+	 * comment, as is the rest of a line after the last cell of a puzzle.
+	 *
+	 * @param {string} text The text to parse.
+	 * @return {array of string} The puzzles as board definition strings.
+	 */
+	function parseAll(text) {
+		var lines = text.split(/\r\n|\r|\n/);
+		var puzzles = [];
+		var cells = [];
+		var section = null;
+		var lastLine = 1, lastColumn = 1;
+
+		$.each(lines, function(lineIdx, line) {
+			var header = /^\s*\[(.*)\]\s*$/.exec(line);
+			var col, ch;
+
+			if (header) {
+				section = header[1].toLowerCase();
+				return;
+			}
+			if (section !== null && section !== "puzzle") {
+				// E.g. the [State] section of .sdk files, with the player's progress.
+				return;
+			}
+
+			for (col = 0; col < line.length; col += 1) {
+				ch = line.charAt(col);
+				if (ch === "#" || line.substr(col, 2) === "//") {
+					break;
+				}
+
+				if (ch >= "1" && ch <= "9") {
+					cells.push(ch);
+				} else if (blankChars.indexOf(ch) !== -1) {
+					cells.push("0");
+				} else if (separatorChars.indexOf(ch) === -1) {
+					throw parseError("Unexpected character \"" + ch + "\"", lineIdx + 1, col + 1);
+				} else {
+					continue;
+				}
+
+				// Just after the last cell, where a missing cell would be reported.
+				lastLine = lineIdx + 1;
+				lastColumn = col + 2;
+
+				if (cells.length === cellCount) {
+					puzzles.push(cells.join(""));
+					cells = [];
+					// Anything after the puzzle on the same line is a comment.
+					break;
+				}
+			}
+		});
+
+		if (cells.length > 0) {
+			throw parseError("Expected " + cellCount + " cells but found " + cells.length, lastLine, lastColumn);
+		}
+		return puzzles;
+	}
+
+	/**
+	 * Parses a single puzzle. See parseAll() for the formats understood.
+	 *
+	 * @param {string} text The text to parse.
+	 * @return {string} The puzzle as a board definition string. If the text has several puzzles,
+	 *                  the first one is returned.
+	 */
+	function parse(text) {
+		var puzzles = parseAll(text);
+		if (puzzles.length === 0) {
+			throw parseError("No puzzle found", 1, 1);
+		}
+		return puzzles[0];
+	}
+
+	module.PuzzleParser = {
+		parse: parse,
+		parseAll: parseAll
+	};
+}(SUDOKU, jQuery));
@@ -0,0 +1,107 @@
+/*globals jQuery, SUDOKU */
+
+// Adds saving of games in progress to localStorage.
+(function(module, $) {
+	"use strict";
+
+	var storageKey = "sudoku.savedGames";
+
+	/** The most games that are kept; the ones saved longest ago are dropped first. */
+	var maxGames = 10;
+
+	function readGames() {
+		return module.storage.read(storageKey) || {};
+	}
+
+	function writeGames(games) {
+		return module.storage.write(storageKey, games);
+	}
+
+	/**
+	 * Orders games by their save numbers, which always increase, unlike the time of saving,
+	 * which is the same for saves in the same millisecond. Games saved before there were save
+	 * numbers come last.
+	 */
+	function byNewestFirst(a, b) {
+		return (b.saveNumber || 0) - (a.saveNumber || 0) || b.savedAt - a.savedAt;
+	}
+
+	/**
+	 * Saves a game, replacing any earlier save with the same id.
+	 *
+	 * @param {object} game The game to save. It must have an id property, and must be
+	 *                      serializable as JSON. A savedAt property is added with the current
+	 *                      time, and a saveNumber property that is higher than that of any game
+	 *                      saved before.
+	 * @return {bool} True if the game could be saved, otherwise false.
+	 */
+	function save(game) {
+		var games = readGames();
+		var saveNumber = 0;
+		var sorted;
+
+		$.each(games, function(id, savedGame) {
+			saveNumber = Math.max(saveNumber, savedGame.saveNumber || 0);
+		});
+		games[game.id] = $.extend({}, game, { savedAt: new Date().getTime(), saveNumber: saveNumber + 1 });
+
+		sorted = $.map(games, function(savedGame) {
+			return savedGame;
+		}).sort(byNewestFirst);
+		$.each(sorted.slice(maxGames), function(i, oldGame) {
+			delete games[oldGame.id];
+		});
+
+		return writeGames(games);
+	}
+
+	/**
+	 * Loads a saved game.
+	 *
+	 * @param {string} id The id of the game.
+	 * @return {object} The game as it was saved, or null if there is no such game.
+	 */
+	function load(id) {
+		var games = readGames();
+		return games.hasOwnProperty(id) ? games[id] : null;
+	}
+
+	/**
+	 * Removes a saved game.
+	 *
+	 * @param {string} id The id of the game.
+	 */
+	function remove(id) {
+		var games = readGames();
+		if (games.hasOwnProperty(id)) {
+			delete games[id];
+			writeGames(games);
+		}
+	}
+
+	/**
+	 * Returns all saved games, the most recently saved first.
+	 *
+	 * @return {array of object} The saved games.
+	 */
+	function list() {
+		return $.map(readGames(), function(game) {
+			return game;
+		}).sort(byNewestFirst);
+	}
+
+	/**
+	 * Removes all saved games.
+	 */
+	function clear() {
+		writeGames({});
+	}
+
+	module.SavedGames = {
+		save: save,
+		load: load,
+		remove: remove,
+		list: list,
+		clear: clear
+	};
+}(SUDOKU, jQuery));
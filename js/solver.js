@@ -0,0 +1,390 @@
+/*globals jQuery, SUDOKU */
+
+// Adds a backtracking solver to SUDOKU.
+(function(module, $) {
+	"use strict";
+
+	function bitCount(mask) {
+		var count = 0;
+		while (mask) {
+			mask &= mask - 1;
+			count += 1;
+		}
+		return count;
+	}
+
+	/**
+	 * Creates a solver for a sudoku board.
+	 *
+	 * @class Solves sudoku boards by backtracking, always trying the cell with the fewest
+	 *        candidates first, or a value that has at most three places left in a unit if
+	 *        that has even fewer.
+	 * @constructor
+	 * @param {Board|string} board The board to solve, or a board definition string. The current
+	 *                             values of the board are used, not only the fixed ones.
+	 * @param {object} options Optional; an object with the property random, a function returning
+	 *                         numbers in [0, 1) like Math.random. If given, values are tried in
+	 *                         random order, so that different solutions are found first.
+	 */
+	function Solver(board, options) {
+		var settings = $.extend({ random: null }, options);
+		var size, allValues;
+		var initialValues = [], inGrid = [];
+		var units, houses = [], cellUnits = [];
+		var cages, cageUnits = [], cellCages = [];
+		var edges, cellEdges = [];
+
+		function init() {
+			var cells;
+
+			if (typeof board === "string") {
+				board = new module.Board(board);
+			}
+
+			cells = board.getBoard();
+			size = board.getSize();
+			cages = board.getCages();
+			edges = board.getEdges();
+			// Pairs of cells that can't have the same value, and cages, work just like small units.
+			units = board.getUnits().concat(board.getPairs());
+			$.each(cages, function(cageIdx, cage) {
+				cageUnits[cageIdx] = units.length;
+				units.push(cage.cells);
+			});
+			allValues = (1 << (size + 1)) - 2;
+
+			$.each(cells, function(idx, cell) {
+				initialValues[idx] = cell.value;
+				// Boards of several grids have positions between the grids that aren't filled.
+				inGrid[idx] = board.isInGrid(cell.row, cell.column);
+				cellUnits[idx] = [];
+				cellCages[idx] = -1;
+				cellEdges[idx] = [];
+			});
+			$.each(cages, function(cageIdx, cage) {
+				$.each(cage.cells, function(i, cellIdx) {
+					cellCages[cellIdx] = cageIdx;
+				});
+			});
+			$.each(edges, function(i, edge) {
+				cellEdges[edge.cells[0]].push({ type: edge.type, other: edge.cells[1], isFirst: true });
+				cellEdges[edge.cells[1]].push({ type: edge.type, other: edge.cells[0], isFirst: false });
+			});
+			$.each(units, function(unitIdx, unit) {
+				$.each(unit, function(i, cellIdx) {
+					cellUnits[cellIdx].push(unitIdx);
+				});
+				// Only units with a cell for each value must have every value.
+				if (unit.length === size) {
+					houses.push(unitIdx);
+				}
+			});
+		}
+
+		/**
+		 * Shuffles an array in place if the settings have a random function.
+		 */
+		function shuffle(array) {
+			var i, j, item;
+			if (settings.random) {
+				for (i = array.length - 1; i > 0; i -= 1) {
+					j = Math.floor(settings.random() * (i + 1));
+					item = array[i];
+					array[i] = array[j];
+					array[j] = item;
+				}
+			}
+			return array;
+		}
+
+		/**
+		 * Runs the search, calling cb with the values of every solution found.
+		 * The search stops when cb returns false.
+		 */
+		function search(cb) {
+			var values = initialValues.slice();
+			var usedInUnit = [];
+			var cageTotals = [], cageEmpty = [];
+			var valid = true;
+
+			/**
+			 * Checks whether a value leaves the rest of its cage able to add up to the cage sum,
+			 * with values not used in the cage yet.
+			 */
+			function fitsCage(cageIdx, value) {
+				var used = usedInUnit[cageUnits[cageIdx]] | (1 << value);
+				var remaining = cages[cageIdx].sum - cageTotals[cageIdx] - value;
+				var others = cageEmpty[cageIdx] - 1;
+				var low = 0, high = 0, count = 0;
+				var v;
+				for (v = 1; v <= size && count < others; v += 1) {
+					if (!(used & (1 << v))) {
+						low += v;
+						count += 1;
+					}
+				}
+				if (count < others) {
+					return false;
+				}
+				for (v = size, count = 0; count < others; v -= 1) {
+					if (!(used & (1 << v))) {
+						high += v;
+						count += 1;
+					}
+				}
+				return remaining >= low && remaining <= high;
+			}
+
+			/**
+			 * Checks whether a value keeps the edge markers of a cell whose neighbour has a value.
+			 */
+			function fitsEdges(cellIdx, value) {
+				var i, edge, other;
+				for (i = 0; i < cellEdges[cellIdx].length; i += 1) {
+					edge = cellEdges[cellIdx][i];
+					other = values[edge.other];
+					if (!module.isEdgeSatisfied(edge.type, edge.isFirst ? value : other, edge.isFirst ? other : value)) {
+						return false;
+					}
+				}
+				return true;
+			}
+
+			function getCandidates(cellIdx) {
+				var used = 0;
+				var i, candidates, value;
+				for (i = 0; i < cellUnits[cellIdx].length; i += 1) {
+					used |= usedInUnit[cellUnits[cellIdx][i]];
+				}
+				candidates = allValues & ~used;
+				if (cellCages[cellIdx] !== -1) {
+					for (value = 1; value <= size; value += 1) {
+						if ((candidates & (1 << value)) && !fitsCage(cellCages[cellIdx], value)) {
+							candidates &= ~(1 << value);
+						}
+					}
+				}
+				if (cellEdges[cellIdx].length) {
+					for (value = 1; value <= size; value += 1) {
+						if ((candidates & (1 << value)) && !fitsEdges(cellIdx, value)) {
+							candidates &= ~(1 << value);
+						}
+					}
+				}
+				return candidates;
+			}
+
+			function place(cellIdx, value) {
+				var i;
+				values[cellIdx] = value;
+				for (i = 0; i < cellUnits[cellIdx].length; i += 1) {
+					usedInUnit[cellUnits[cellIdx][i]] |= 1 << value;
+				}
+				if (cellCages[cellIdx] !== -1) {
+					cageTotals[cellCages[cellIdx]] += value;
+					cageEmpty[cellCages[cellIdx]] -= 1;
+				}
+			}
+
+			function unplace(cellIdx, value) {
+				var i;
+				values[cellIdx] = 0;
+				for (i = 0; i < cellUnits[cellIdx].length; i += 1) {
+					usedInUnit[cellUnits[cellIdx][i]] &= ~(1 << value);
+				}
+				if (cellCages[cellIdx] !== -1) {
+					cageTotals[cellCages[cellIdx]] -= value;
+					cageEmpty[cellCages[cellIdx]] += 1;
+				}
+			}
+
+			/**
+			 * Returns the value with the fewest places left in a unit, if it has fewer than
+			 * maxCount. Irregular regions, for instance, often force a value into a cell that
+			 * still has many candidates.
+			 */
+			function findFewestPlaces(cellCandidates, maxCount) {
+				var best = null;
+				var h, unitIdx, unit, value, bit, places, i;
+				for (h = 0; h < houses.length; h += 1) {
+					unitIdx = houses[h];
+					unit = units[unitIdx];
+					for (value = 1; value <= size; value += 1) {
+						bit = 1 << value;
+						if (usedInUnit[unitIdx] & bit) {
+							continue;
+						}
+						places = [];
+						for (i = 0; i < unit.length; i += 1) {
+							if (cellCandidates[unit[i]] & bit) {
+								places.push(unit[i]);
+							}
+						}
+						if (places.length < maxCount) {
+							best = { value: value, places: places };
+							maxCount = places.length;
+							if (maxCount === 0) {
+								return best;
+							}
+						}
+					}
+				}
+				return best;
+			}
+
+			function step() {
+				var i, count, candidates;
+				var bestIdx = -1, bestCandidates = 0, bestCount = size + 1;
+				var value, order = [];
+				var cellCandidates = [], fewestPlaces;
+
+				for (i = 0; i < values.length; i += 1) {
+					if (!values[i] && inGrid[i]) {
+						candidates = getCandidates(i);
+						cellCandidates[i] = candidates;
+						count = bitCount(candidates);
+						if (count < bestCount) {
+							bestIdx = i;
+							bestCandidates = candidates;
+							bestCount = count;
+							if (count <= 1) {
+								break;
+							}
+						}
+					}
+				}
+
+				if (bestIdx === -1) {
+					// No empty cells left, so this is a solution.
+					return cb(values.slice()) !== false;
+				}
+
+				// Trying the places of a value only pays off when there are very few of them;
+				// otherwise branching on them makes the search far longer on some variants, such
+				// as anti-knight boards.
+				fewestPlaces = bestCount > 1 ? findFewestPlaces(cellCandidates, Math.min(bestCount, 4)) : null;
+				if (fewestPlaces) {
+					shuffle(fewestPlaces.places);
+					for (i = 0; i < fewestPlaces.places.length; i += 1) {
+						place(fewestPlaces.places[i], fewestPlaces.value);
+						if (!step()) {
+							return false;
+						}
+						unplace(fewestPlaces.places[i], fewestPlaces.value);
+					}
+					return true;
+				}
+
+				for (value = 1; value <= size; value += 1) {
+					if (bestCandidates & (1 << value)) {
+						order.push(value);
+					}
+				}
+				shuffle(order);
+
+				for (i = 0; i < order.length; i += 1) {
+					place(bestIdx, order[i]);
+					if (!step()) {
+						return false;
+					}
+					unplace(bestIdx, order[i]);
+				}
+
+				return true;
+			}
+
+			$.each(units, function(unitIdx, unit) {
+				usedInUnit[unitIdx] = 0;
+				$.each(unit, function(i, cellIdx) {
+					var bit = 1 << initialValues[cellIdx];
+					if (!initialValues[cellIdx]) {
+						return;
+					}
+					if (usedInUnit[unitIdx] & bit) {
+						valid = false;
+					}
+					usedInUnit[unitIdx] |= bit;
+				});
+			});
+
+			$.each(cages, function(cageIdx, cage) {
+				cageTotals[cageIdx] = 0;
+				cageEmpty[cageIdx] = 0;
+				$.each(cage.cells, function(i, cellIdx) {
+					cageTotals[cageIdx] += initialValues[cellIdx];
+					cageEmpty[cageIdx] += initialValues[cellIdx] ? 0 : 1;
+				});
+				if (cageTotals[cageIdx] > cage.sum || (!cageEmpty[cageIdx] && cageTotals[cageIdx] !== cage.sum)) {
+					valid = false;
+				}
+			});
+
+			$.each(edges, function(i, edge) {
+				if (!module.isEdgeSatisfied(edge.type, initialValues[edge.cells[0]], initialValues[edge.cells[1]])) {
+					valid = false;
+				}
+			});
+
+			if (valid) {
+				step();
+			}
+		}
+
+		/**
+		 * Solves the board.
+		 *
+		 * @return {string} The solution as a board definition string, or null if the board has no
+		 *                  solution. If there are several solutions, the first one found is returned.
+		 */
+		this.solve = function() {
+			var solution = null;
+			search(function(values) {
+				solution = $.map(values, module.formatValue).join("");
+				return false;
+			});
+			return solution;
+		};
+
+		/**
+		 * Counts the solutions of the board, stopping at the given limit.
+		 *
+		 * @param {number} limit The maximum number of solutions to look for. Defaults to 2, which is
+		 *                       enough to tell a unique puzzle from an ambiguous one.
+		 * @return {number} The number of solutions, at most limit.
+		 */
+		this.countSolutions = function(limit) {
+			var count = 0;
+			limit = limit || 2;
+			search(function() {
+				count += 1;
+				return count < limit;
+			});
+			return count;
+		};
+
+		/**
+		 * Checks whether the board has no solution, exactly one or several.
+		 *
+		 * @return {string} One of Solver.NO_SOLUTION, Solver.UNIQUE_SOLUTION and
+		 *                  Solver.MULTIPLE_SOLUTIONS.
+		 */
+		this.getUniqueness = function() {
+			var count = this.countSolutions(2);
+			if (count === 0) {
+				return Solver.NO_SOLUTION;
+			} else if (count === 1) {
+				return Solver.UNIQUE_SOLUTION;
+			} else {
+				return Solver.MULTIPLE_SOLUTIONS;
+			}
+		};
+
+		init();
+	}
+
+	Solver.NO_SOLUTION = "none";
+	Solver.UNIQUE_SOLUTION = "unique";
+	Solver.MULTIPLE_SOLUTIONS = "multiple";
+
+	module.Solver = Solver;
+}(SUDOKU, jQuery));
@@ -0,0 +1,216 @@
+/*globals jQuery, SUDOKU */
+
+// Adds player statistics, kept in localStorage.
+(function(module, $) {
+	"use strict";
+
+	var storageKey = "sudoku.statistics";
+
+	/**
+	 * The most abandoned games that are remembered, so that resuming one of them doesn't count it
+	 * as abandoned any more. Games saved longer ago than this can't be resumed anyway.
+	 */
+	var maxAbandonedGames = 10;
+
+	function createStatistics() {
+		return {
+			started: 0,
+			completed: 0,
+			abandoned: 0,
+			currentStreak: 0,
+			longestStreak: 0,
+			hintsUsed: 0,
+			mistakes: 0,
+			difficulties: {},
+			abandonedGames: []
+		};
+	}
+
+	function readStatistics() {
+		return $.extend(createStatistics(), module.storage.read(storageKey));
+	}
+
+	function writeStatistics(stats) {
+		return module.storage.write(storageKey, stats);
+	}
+
+	/**
+	 * Changes the statistics and stores them.
+	 *
+	 * @param {function} change A function that is called with the statistics, and changes them.
+	 */
+	function update(change) {
+		var stats = readStatistics();
+		change(stats);
+		writeStatistics(stats);
+	}
+
+	/**
+	 * Records that a new game was started.
+	 */
+	function gameStarted() {
+		update(function(stats) {
+			stats.started += 1;
+		});
+	}
+
+	/**
+	 * Records that a game was solved.
+	 *
+	 * @param {string} difficulty The difficulty of the puzzle, one of SUDOKU.Grader.difficulties.
+	 * @param {number} time The time it took to solve the puzzle, in milliseconds.
+	 */
+	function gameCompleted(difficulty, time) {
+		update(function(stats) {
+			var difficultyStats = stats.difficulties[difficulty] || { completed: 0, totalTime: 0, bestTime: null };
+
+			difficultyStats.completed += 1;
+			difficultyStats.totalTime += time;
+			if (difficultyStats.bestTime === null || time < difficultyStats.bestTime) {
+				difficultyStats.bestTime = time;
+			}
+			stats.difficulties[difficulty] = difficultyStats;
+
+			stats.completed += 1;
+			stats.currentStreak += 1;
+			stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+		});
+	}
+
+	/**
+	 * Records that a game was given up, or left unfinished for another game. This ends the
+	 * current streak.
+	 *
+	 * @param {string} id The id of the game.
+	 */
+	function gameAbandoned(id) {
+		update(function(stats) {
+			if ($.inArray(id, stats.abandonedGames) !== -1) {
+				return;
+			}
+			stats.abandoned += 1;
+			stats.currentStreak = 0;
+			stats.abandonedGames = stats.abandonedGames.concat(id).slice(-maxAbandonedGames);
+		});
+	}
+
+	/**
+	 * Records that a saved game was resumed. If the game was counted as abandoned, it isn't any
+	 * more. A streak that was ended by abandoning it is not restored, though.
+	 *
+	 * @param {string} id The id of the game.
+	 */
+	function gameResumed(id) {
+		update(function(stats) {
+			var idx = $.inArray(id, stats.abandonedGames);
+			if (idx !== -1) {
+				stats.abandonedGames.splice(idx, 1);
+				stats.abandoned -= 1;
+			}
+		});
+	}
+
+	/**
+	 * Records that a hint was given.
+	 */
+	function hintUsed() {
+		update(function(stats) {
+			stats.hintsUsed += 1;
+		});
+	}
+
+	/**
+	 * Records that a value was entered that doesn't match the solution.
+	 */
+	function mistakeMade() {
+		update(function(stats) {
+			stats.mistakes += 1;
+		});
+	}
+
+	/**
+	 * Records the games played with a runner, as its events tell of them. Handlers added to the
+	 * runner after this see the statistics already updated.
+	 *
+	 * @param {SudokuRunner} runner The runner, before it starts its first game with runInCanvas().
+	 */
+	function track(runner) {
+		runner.on("gameStarted", function() {
+			gameStarted();
+		});
+		runner.on("gameAbandoned", function(data) {
+			gameAbandoned(data.id);
+		});
+		runner.on("gameResumed", function(data) {
+			gameResumed(data.id);
+		});
+		runner.on("won", function(result) {
+			// Revealing the solution abandons the game instead.
+			if (!result.revealed) {
+				gameCompleted(result.category, result.time);
+			}
+		});
+		runner.on("hintUsed", function() {
+			hintUsed();
+		});
+		runner.on("mistakeMade", function() {
+			mistakeMade();
+		});
+	}
+
+	/**
+	 * Returns the statistics.
+	 *
+	 * @return {object} An object with the properties started, completed and abandoned (the number
+	 *                  of games), winRate (completed games as a fraction of started ones, between
+	 *                  0 and 1), currentStreak and longestStreak (the number of games completed in
+	 *                  a row), hintsUsed, mistakes and difficulties. difficulties has a property for
+	 *                  each of SUDOKU.Grader.difficulties, with the properties completed,
+	 *                  averageTime and bestTime (in milliseconds, or null if no game of the
+	 *                  difficulty has been completed).
+	 */
+	function get() {
+		var stats = readStatistics();
+		var difficulties = {};
+
+		$.each(module.Grader.difficulties, function(i, difficulty) {
+			var difficultyStats = stats.difficulties[difficulty];
+			difficulties[difficulty] = {
+				completed: difficultyStats ? difficultyStats.completed : 0,
+				averageTime: difficultyStats ? Math.round(difficultyStats.totalTime / difficultyStats.completed) : null,
+				bestTime: difficultyStats ? difficultyStats.bestTime : null
+			};
+		});
+
+		return {
+			started: stats.started,
+			completed: stats.completed,
+			abandoned: stats.abandoned,
+			winRate: stats.started ? stats.completed / stats.started : 0,
+			currentStreak: stats.currentStreak,
+			longestStreak: stats.longestStreak,
+			hintsUsed: stats.hintsUsed,
+			mistakes: stats.mistakes,
+			difficulties: difficulties
+		};
+	}
+
+	/**
+	 * Resets all statistics.
+	 */
+	function reset() {
+		writeStatistics(createStatistics());
+	}
+
+	module.Statistics = {
+		gameStarted: gameStarted,
+		gameCompleted: gameCompleted,
+		gameAbandoned: gameAbandoned,
+		gameResumed: gameResumed,
+		hintUsed: hintUsed,
+		mistakeMade: mistakeMade,
+		track: track,
+		get: get,
+		reset: reset
+	};
+}(SUDOKU, jQuery));
@@ -0,0 +1,59 @@
+/*globals SUDOKU */
+
+// Adds helpers for keeping JSON data in localStorage.
+(function(module) {
+	"use strict";
+
+	function getStorage() {
+		try {
+			return window.localStorage || null;
+		} catch (e) {
+			// Accessing localStorage throws when it is disabled.
+			return null;
+		}
+	}
+
+	/**
+	 * Reads a value stored with write().
+	 *
+	 * @param {string} key The key the value is stored under.
+	 * @return {object} The value, or null if there is none or localStorage is unavailable.
+	 */
+	function read(key) {
+		var storage = getStorage();
+		if (!storage) {
+			return null;
+		}
+		try {
+			return JSON.parse(storage.getItem(key));
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Stores a value as JSON.
+	 *
+	 * @param {string} key The key to store the value under.
+	 * @param {object} value The value, which must be serializable as JSON.
+	 * @return {bool} True if the value could be stored, otherwise false.
+	 */
+	function write(key, value) {
+		var storage = getStorage();
+		if (!storage) {
+			return false;
+		}
+		try {
+			storage.setItem(key, JSON.stringify(value));
+			return true;
+		} catch (e) {
+			// Most likely the storage is full.
+			return false;
+		}
+	}
+
+	module.storage = {
+		read: read,
+		write: write
+	};
+}(SUDOKU));
@@ -11,31 +11,290 @@ var SUDOKU = (function($) {
 		return result;
 	}
 	
-	function calcCellIndexFromBoardPosition(row, col) {
-		return (row - 1) * 9 + (col - 1);
+	function calcCellIndexFromBoardPosition(row, col, size) {
+		return (row - 1) * size + (col - 1);
 	}
 	
-	function calcBoardPositionFromIndex(idx) {
-		var row = Math.floor(idx / 9) + 1;
-		var col = idx % 9 + 1;
+	function calcBoardPositionFromIndex(idx, size) {
+		var row = Math.floor(idx / size) + 1;
+		var col = idx % size + 1;
 		return {
 			row: row,
 			column: col
 		};
 	}
+	
+	/** The characters for cell values in board definitions; values above 9 are letters. */
+	var valueChars = "0123456789ABCDEFG";
+	
+	/** The largest board size supported, limited by the letters in valueChars. */
+	var maxSize = valueChars.length - 1;
+	
+	/**
+	 * Returns the character for a cell value, as used in board definitions and for display.
+	 * 
+	 * @param {number} value The value, 0 for no value.
+	 * @return {string} The digit, or a letter for values above 9, starting with "A" for 10.
+	 */
+	function formatValue(value) {
+		return valueChars.charAt(value);
+	}
+	
+	/**
+	 * Returns the cell value for a character from a board definition.
+	 * 
+	 * @param {string} ch The character; letters can be upper or lower case.
+	 * @return {number} The value, or -1 if the character isn't a value.
+	 */
+	function parseValue(ch) {
+		return ch ? valueChars.indexOf(ch.toUpperCase()) : -1;
+	}
+	
+	/**
+	 * Returns the default box shape for a board size: the most square one, with boxes wider
+	 * than they are high if they can't be square, e.g. 3x2 for 6x6 boards.
+	 * Returns null if the size has no such shape.
+	 */
+	function getDefaultBoxSize(size) {
+		var height = Math.floor(Math.sqrt(size));
+		while (height > 1 && size % height !== 0) {
+			height -= 1;
+		}
+		return height > 1 ? { width: size / height, height: height } : null;
+	}
+	
+	/** The constraints that variants add to the classic rules, by name. See registerConstraint(). */
+	var registeredConstraints = {};
+	
+	/**
+	 * Registers a constraint, so that boards can be created with it. A constraint is an object
+	 * with any of the following:
+	 * <ul>
+	 * <li>getUnits(size, boxWidth, boxHeight): a method returning extra units, each an array of
+	 *     cell indexes. Like rows, columns and boxes, each unit must have every value once.</li>
+	 * <li>getPairs(size, boxWidth, boxHeight): a method returning pairs of cell indexes, each an
+	 *     array of two, whose cells must not have the same value.</li>
+	 * <li>shaded: whether the cells of the units should be shaded on the canvas.</li>
+	 * </ul>
+	 * 
+	 * @param {string} name The name of the constraint, as used in board definitions. It can't
+	 *                      have commas or semicolons.
+	 * @param {object} constraint The constraint.
+	 */
+	function registerConstraint(name, constraint) {
+		registeredConstraints[name] = constraint;
+	}
+	
+	/**
+	 * Returns the pairs of cells that are a given move apart, like a chess piece moves.
+	 * Only one of the two directions of each move should be given.
+	 */
+	function getMovePairs(size, moves) {
+		var pairs = [];
+		var row, col, i, toRow, toCol;
+		for (row = 1; row <= size; row += 1) {
+			for (col = 1; col <= size; col += 1) {
+				for (i = 0; i < moves.length; i += 1) {
+					toRow = row + moves[i][0];
+					toCol = col + moves[i][1];
+					if (toRow >= 1 && toRow <= size && toCol >= 1 && toCol <= size) {
+						pairs.push([calcCellIndexFromBoardPosition(row, col, size),
+						            calcCellIndexFromBoardPosition(toRow, toCol, size)]);
+					}
+				}
+			}
+		}
+		return pairs;
+	}
+	
+	/** X-Sudoku: both main diagonals have every value once. */
+	registerConstraint("diagonal", {
+		shaded: true,
+		getUnits: function(size) {
+			var main = [], anti = [];
+			var i;
+			for (i = 1; i <= size; i += 1) {
+				main.push(calcCellIndexFromBoardPosition(i, i, size));
+				anti.push(calcCellIndexFromBoardPosition(i, size + 1 - i, size));
+			}
+			return [main, anti];
+		}
+	});
+	
+	/** No two cells a knight's move apart have the same value. */
+	registerConstraint("antiKnight", {
+		getPairs: function(size) {
+			return getMovePairs(size, [[1, -2], [1, 2], [2, -1], [2, 1]]);
+		}
+	});
+	
+	/** No two diagonally touching cells have the same value. Other neighbours share a row or column anyway. */
+	registerConstraint("antiKing", {
+		getPairs: function(size) {
+			return getMovePairs(size, [[1, -1], [1, 1]]);
+		}
+	});
+	
+	/**
+	 * Reads the cages of a board definition, e.g. "10:0,1/7:2,11,20" for a cage of the first two
+	 * cells adding up to 10 and one of three cells adding up to 7.
+	 */
+	function parseCages(text) {
+		return $.map(text.split("/"), function(cageText) {
+			var parts = cageText.split(":");
+			return {
+				sum: Number(parts[0]),
+				cells: parts.length === 2 ? $.map(parts[1].split(","), Number) : []
+			};
+		});
+	}
+	
+	/**
+	 * Writes cages in the format read by parseCages().
+	 */
+	function formatCages(cages) {
+		return $.map(cages, function(cage) {
+			return cage.sum + ":" + cage.cells.join(",");
+		}).join("/");
+	}
+	
+	/**
+	 * The markers that can be put on the border between two neighbouring cells, by their type,
+	 * with a check of the values of the two cells. Both values are filled in.
+	 */
+	var edgeMarkers = {
+		/** Kropki white dot: the values are consecutive. */
+		w: function(first, second) {
+			return Math.abs(first - second) === 1;
+		},
+		/** Kropki black dot: one value is double the other. */
+		b: function(first, second) {
+			return first === 2 * second || second === 2 * first;
+		},
+		/** Greater-than sign: the first value is larger than the second. */
+		g: function(first, second) {
+			return first > second;
+		}
+	};
+	
+	/**
+	 * Checks whether the values of the two cells of an edge marker keep it. A marker with an empty
+	 * cell is kept, since the cell can still get a fitting value.
+	 *
+	 * @param {string} type The type of the marker, see Board.getEdges().
+	 * @param {number} first The value of the first cell of the marker, 0 if it is empty.
+	 * @param {number} second The value of the second cell of the marker, 0 if it is empty.
+	 * @return {bool} True if the marker is kept, otherwise false.
+	 */
+	function isEdgeSatisfied(type, first, second) {
+		return !first || !second || edgeMarkers[type](first, second);
+	}
+	
+	/**
+	 * Reads the edge markers of a board definition, e.g. "w:0,1/g:10,1" for a white dot between
+	 * the first two cells and a greater-than sign saying that cell 10 is larger than cell 1.
+	 */
+	function parseEdges(text) {
+		return $.map(text.split("/"), function(edgeText) {
+			var parts = edgeText.split(":");
+			return {
+				type: parts[0],
+				cells: parts.length === 2 ? $.map(parts[1].split(","), Number) : []
+			};
+		});
+	}
+	
+	/**
+	 * Writes edge markers in the format read by parseEdges().
+	 */
+	function formatEdges(edges) {
+		return $.map(edges, function(edge) {
+			return edge.type + ":" + edge.cells.join(",");
+		}).join("/");
+	}
+	
+	/**
+	 * Reads the grids of a multi-grid board definition, e.g. "1,1/7,7" for a grid in the top left
+	 * corner and one whose top left cell is in row 7 and column 7.
+	 */
+	function parseGrids(text) {
+		return $.map(text.split("/"), function(gridText) {
+			var parts = gridText.split(",");
+			return {
+				row: parts.length === 2 ? Number(parts[0]) : NaN,
+				column: parts.length === 2 ? Number(parts[1]) : NaN
+			};
+		});
+	}
+	
+	/**
+	 * Writes grids in the format read by parseGrids().
+	 */
+	function formatGrids(grids) {
+		return $.map(grids, function(grid) {
+			return grid.row + "," + grid.column;
+		}).join("/");
+	}
+	
+	/**
+	 * Creates a registry of event handlers, for objects that let other code observe them.
+	 * Each event has its own list of handlers, which are called with the event data.
+	 * 
+	 * @return {object} An object with the methods on(event, handler), off(event, handler)
+	 *                  and trigger(event, data).
+	 */
+	function createEvents() {
+		var handlers = {};
+		
+		function getHandlers(event) {
+			if (!handlers.hasOwnProperty(event)) {
+				handlers[event] = $.Callbacks();
+			}
+			return handlers[event];
+		}
+		
+		return {
+			on: function(event, handler) {
+				getHandlers(event).add(handler);
+			},
+			off: function(event, handler) {
+				if (handler) {
+					getHandlers(event).remove(handler);
+				} else {
+					getHandlers(event).empty();
+				}
+			},
+			trigger: function(event, data) {
+				getHandlers(event).fire(data);
+			}
+		};
+	}
+	
+	/** The URL-safe base64 alphabet used by board codes. */
+	var codeChars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+	
+	/** The first character of board codes, changed whenever the format of the codes changes. */
+	var codeVersion = "s";
+	
+	/** How cells are marked in board codes. */
+	var CODE_ENTERED = 0, CODE_FIXED = 1, CODE_REVEALED = 2;
 
 	/**
 	 * Creates a sudoku board cell.
 	 * 
 	 * @class Represents a cell on a sudoku board.
 	 * @constructor
-	 * @param {number} col The cell column, in the interval [1, 9].
-	 * @param {number} row The cell row, in the interval [1, 9].
-	 * @param {number} val The value of the cell, in the interval [0, 9]. 0 means no value.
+	 * @param {number} col The cell column, in the interval [1, size].
+	 * @param {number} row The cell row, in the interval [1, size].
+	 * @param {number} val The value of the cell, in the interval [0, size]. 0 means no value.
 	 * @param {bool} fixed Whether the value has a fixed value, i.e. whether it is an initial
 	 *                     non-zero value.
+	 * @param {array of number} notes Optional; the candidates the player has noted for the cell,
+	 *                                in ascending order.
+	 * @param {bool} revealed Optional; whether the value was revealed from the solution instead of
+	 *                        entered by the player.
 	 */
-	function Cell(row, col, val, fixed) {
+	function Cell(row, col, val, fixed, notes, revealed) {
 		/** The cell row. */
 		this.row = row;
 		/** The cell column. */
@@ -44,6 +303,10 @@ var SUDOKU = (function($) {
 		this.value = val;
 		/** Whether the value is fixed. */
 		this.isFixed = fixed;
+		/** The noted candidates (pencil marks), in ascending order. */
+		this.notes = notes || [];
+		/** Whether the value was revealed from the solution. */
+		this.isRevealed = revealed || false;
 	}
 	
 	/**
@@ -53,7 +316,7 @@ var SUDOKU = (function($) {
 	 * @return {Cell} A copy of the cell.
 	 * */
 	Cell.fromCell = function(cell) {
-		return new Cell(cell.row, cell.column, cell.value, cell.isFixed);
+		return new Cell(cell.row, cell.column, cell.value, cell.isFixed, cell.notes.slice(), cell.isRevealed);
 	};
 	
 	/**
@@ -61,14 +324,59 @@ var SUDOKU = (function($) {
 	 * 
 	 * @class Represents a sudoku board, with methods for manipulating it.
 	 * @constructor
-	 * @param {string} boardDef The initial board configuration; a string of 81 numbers.
+	 * @param {string} boardDef The initial board configuration; a string with a character for
+	 *                          each cell, row by row, with 0 for empty cells and letters for values
+	 *                          above 9 ("A" for 10). The length gives the size of the board, e.g. 81
+	 *                          for a 9x9 board or 256 for a 16x16 board. It can be followed by
+	 *                          ";rules=" and the names of constraints, separated by commas, and
+	 *                          by ";cages=" and the Killer Sudoku cages, as returned by
+	 *                          getDefinition(). Each cage is written as its sum, ":" and the
+	 *                          indices of its cells separated by commas, and the cages are
+	 *                          separated by "/", e.g. "10:0,1/7:2,11,20". For Jigsaw Sudoku, the
+	 *                          boxes can be replaced by irregular regions with ";regions=" and a
+	 *                          character for each cell, which is the same for all cells of a
+	 *                          region, e.g. "111222333...". Boards of several overlapping grids,
+	 *                          such as Samurai Sudoku, have a character for each position of the
+	 *                          whole board, with 0 between the grids, followed by ";grids=" and
+	 *                          the positions of the top left cells of the grids, e.g.
+	 *                          "1,1/1,13/7,7/13,1/13,13" (see Board.SAMURAI). Markers on the
+	 *                          borders between cells, as in Kropki and Greater-than Sudoku,
+	 *                          follow ";edges=", written as their type, ":" and the indices of
+	 *                          their two cells, and separated by "/", e.g. "w:0,1/g:10,1" (see
+	 *                          getEdges()). Boxes of another shape than the default one follow
+	 *                          ";box=", written as their width, "x" and their height, e.g. "2x3".
+	 * @param {object} options Optional; an object with the properties boxWidth and boxHeight,
+	 *                         the shape of the boxes, constraints, an array of the names of
+	 *                         constraints to add to the rules (see SUDOKU.registerConstraint()),
+	 *                         cages, as returned by getCages(), regions, a region map as
+	 *                         returned by getRegions(), grids, as returned by getGrids(), and
+	 *                         edges, as returned by getEdges(). By default the boxes are as
+	 *                         square as the size allows, e.g. 3 wide and 2 high on a 6x6 board,
+	 *                         and there is one grid with no extra constraints, cages, regions or
+	 *                         edge markers.
 	 */
-	function Board(boardDef) {
+	function Board(boardDef, options) {
+		var size, width, boxWidth, boxHeight;
+		var grids = [];
+		var constraintNames = [];
+		var constraintUnits = {};
+		var constraintPairs = [];
+		var cages = [];
+		var cellCages = {};
+		var edges = [];
+		var regionMap = null;
+		var boxShape = null;
+		var rowUnits = [], columnUnits = [], boxes = [];
 		var cells = [];
+		var autoCleanupNotes = false;
+		var undoStack = [];
+		var redoStack = [];
+		var events = createEvents();
+		var conflictsKey = "";
 		
 		function init() {
 			var i;
-			var pos, num, fixed;
+			var pos, num, fixed, boxSize;
 			
 			if (typeof boardDef !== "string") {
 				throw {
@@ -76,243 +384,1746 @@ var SUDOKU = (function($) {
 					message: "Invalid board definition (not a string)"
 				};
 			}
-			if (boardDef.length !== 81) {
+			
+			parseSections(boardDef.split(";"));
+			boardDef = boardDef.split(";")[0];
+			
+			width = Math.round(Math.sqrt(boardDef.length));
+			// The last grid ends at the edge of the board.
+			size = width - Math.max.apply(null, $.map(grids, function(grid) {
+				return grid.row - 1;
+			}));
+			boxSize = $.extend({}, getDefaultBoxSize(size), boxShape || options && {
+				width: options.boxWidth,
+				height: options.boxHeight
+			});
+			if (width * width !== boardDef.length || size > maxSize || !boxSize.width) {
 				throw {
 					name: "SudokuBoardError",
 					message: "Invalid board definition (wrong length)"
 				};
 			}
+			if (boxSize.width * boxSize.height !== size) {
+				throw {
+					name: "SudokuBoardError",
+					message: "Invalid box size"
+				};
+			}
+			boxWidth = boxSize.width;
+			boxHeight = boxSize.height;
+			checkGrids();
 			
 			for (i = 0; i < boardDef.length; i += 1) {
-				pos = calcBoardPositionFromIndex(i);
-				num = parseInt(boardDef[i], 10);
+				pos = calcBoardPositionFromIndex(i, width);
+				num = parseValue(boardDef.charAt(i));
 				fixed = num !== 0;
 				
-				if (isNaN(num) || num < 0 || num > 9) {
+				if (num < 0 || num > size || (num && !isInGrid(pos.row, pos.column))) {
 					throw {
 						name: "SudokuBoardError",
 						message: "Invalid board definition (invalid cell value)"
 					};
 				}
 				
-				cells[i] = new Cell(pos.row, pos.column, num, fixed);
+				// The positions between the grids are fixed cells without a value.
+				cells[i] = new Cell(pos.row, pos.column, num, fixed || !isInGrid(pos.row, pos.column));
 			}
+			
+			$.each(constraintNames, function(i, name) {
+				var constraint = registeredConstraints[name];
+				constraintUnits[name] = [];
+				// Constraints apply to each grid on its own.
+				$.each(grids, function(j, grid) {
+					function toBoardIndices(gridIndices) {
+						return [$.map(gridIndices, function(idx) {
+							var gridPos = calcBoardPositionFromIndex(idx, size);
+							return calcCellIndexFromBoardPosition(grid.row - 1 + gridPos.row,
+							                                      grid.column - 1 + gridPos.column, width);
+						})];
+					}
+					if (constraint.getUnits) {
+						constraintUnits[name] = constraintUnits[name].concat(
+								$.map(constraint.getUnits(size, boxWidth, boxHeight), toBoardIndices));
+					}
+					if (constraint.getPairs) {
+						constraintPairs = constraintPairs.concat(
+								$.map(constraint.getPairs(size, boxWidth, boxHeight), toBoardIndices));
+					}
+				});
+			});
+			initUnits();
+			checkCages();
+			checkEdges();
+			conflictsKey = getConflictsKey(findConflicts());
 		}
 		
-		function getCellAtPosition(row, col, copy) {
-			var idx = calcCellIndexFromBoardPosition(row, col);
-			var cell = cells[idx];
-			return copy ? Cell.fromCell(cell) : cell;
-		}
-		
-		function walkCellsByRow(cb) {
-			var row, col, newRow, cell;
-			for (row = 1; row <= 9; row += 1) {
-				for (col = 1; col <= 9; col += 1) {
-					cell = getCellAtPosition(row, col, false);
-					newRow = col === 1;
-					if (cb(cell, row, newRow) === false) {
-						return;
-					}
+		/**
+		 * Reads the box shape, constraints, cages, edge markers, regions and grids from the
+		 * sections after the cells of the board definition, and from the options.
+		 */
+		function parseSections(sections) {
+			var i, section;
+			for (i = 1; i < sections.length; i += 1) {
+				section = sections[i].split("=");
+				if (section.length === 2 && section[0] === "rules") {
+					constraintNames = constraintNames.concat(section[1].split(","));
+				} else if (section.length === 2 && section[0] === "cages") {
+					cages = cages.concat(parseCages(section[1]));
+				} else if (section.length === 2 && section[0] === "edges") {
+					edges = edges.concat(parseEdges(section[1]));
+				} else if (section.length === 2 && section[0] === "regions") {
+					regionMap = section[1];
+				} else if (section.length === 2 && section[0] === "grids") {
+					grids = parseGrids(section[1]);
+				} else if (section.length === 2 && section[0] === "box" && /^\d+x\d+$/.test(section[1])) {
+					boxShape = {
+						width: parseInt(section[1].split("x")[0], 10),
+						height: parseInt(section[1].split("x")[1], 10)
+					};
+				} else {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (unknown section)"
+					};
 				}
 			}
-		}
-			
-		function walkCellsByColumn(cb) {
-			var row, col, newCol, cell;
-			for (col = 1; col <= 9; col += 1) {
-				for (row = 1; row <= 9; row += 1) {
-					cell = getCellAtPosition(row, col, false);
-					newCol = row === 1;
-					if (cb(cell, col, newCol) === false) {
-						return;
-					}
-				}
+			cages = cages.concat((options && options.cages) || []);
+			edges = edges.concat((options && options.edges) || []);
+			if (regionMap === null && options && options.regions) {
+				regionMap = options.regions;
 			}
-		}
+			if (!grids.length) {
+				grids = (options && options.grids) || [{ row: 1, column: 1 }];
+			}
+			$.each(grids, function(i, grid) {
+				if (!(grid.row >= 1 && grid.column >= 1 && grid.row % 1 === 0 && grid.column % 1 === 0)) {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (invalid grids)"
+					};
+				}
+			});
 			
-		function walkCellsByBox(cb) {
-			var boxIdx, inBoxIdx, newBox, firstCellIdx, cellIndices;
-			var cell;
-			for (boxIdx = 0; boxIdx < 9; boxIdx += 1) {
-				firstCellIdx = Math.floor(boxIdx / 3) * 27 + (boxIdx % 3 * 3);
-				cellIndices = [firstCellIdx,      firstCellIdx + 1,  firstCellIdx + 2,
-				               firstCellIdx + 9,  firstCellIdx + 10, firstCellIdx + 11,
-				               firstCellIdx + 18, firstCellIdx + 19, firstCellIdx + 20];
-				for (inBoxIdx = 0; inBoxIdx < 9; inBoxIdx += 1) {
-					cell = cells[cellIndices[inBoxIdx]];
-					newBox = inBoxIdx === 0;
-					if (cb(cell, boxIdx + 1, newBox) === false) {
-						return;
-					}
+			constraintNames = unique(constraintNames.concat((options && options.constraints) || []));
+			$.each(constraintNames, function(i, name) {
+				if (!registeredConstraints.hasOwnProperty(name)) {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (unknown constraint)"
+					};
 				}
-			}
+			});
 		}
 		
-		/** 
-		 * Returns the current board as an array of 81 cells.
-		 * 
-		 * @return {array of Cell} The current board.
-		 */
-		this.getBoard = function() {
-			return $.extend(true, [], cells);
-		};
-		
 		/**
-		 * Returns the cell at the specified position.
-		 * 
-		 * @param {number} row The row of the cell.
-		 * @param {number} col The column of the cell.
-		 * @return {Cell} The cell.
+		 * Checks that every grid is inside the board and lines up with the boxes of the others,
+		 * and that the grids reach the right and bottom edges of the board.
 		 */
-		this.getCell = function(row, col) {
-			return getCellAtPosition(row, col, true);
-		};
+		function checkGrids() {
+			var right = 0;
+			var valid = regionMap === null || grids.length === 1;
+			$.each(grids, function(i, grid) {
+				valid = valid && grid.column - 1 + size <= width && (grid.row - 1) % boxHeight === 0 &&
+						(grid.column - 1) % boxWidth === 0;
+				right = Math.max(right, grid.column - 1 + size);
+			});
+			if (!valid || right !== width) {
+				throw {
+					name: "SudokuBoardError",
+					message: "Invalid board definition (invalid grids)"
+				};
+			}
+		}
+		
+		function isInGrid(row, col) {
+			return $.grep(grids, function(grid) {
+				return row >= grid.row && row < grid.row + size && col >= grid.column && col < grid.column + size;
+			}).length > 0;
+		}
 		
 		/**
-		 * Sets the value for the specified cell. Only non-fixed cells can have their values changed.
-		 * 
-		 * @param {number} row The row of the cell.
-		 * @param {number} col The column of the cell.
-		 * @return {bool} True if the cell value could be changed, otherwise false.
+		 * Collects the rows, columns and boxes of every grid. Units that grids share, such as the
+		 * corner boxes of Samurai Sudoku, are only kept once.
 		 */
-		this.setCellValue = function(row, col, value) {
-			var cell = getCellAtPosition(row, col, false);
-			if (!cell.isFixed) {
-				cell.value = value;
+		function initUnits() {
+			var keys = {};
+			
+			function addUnit(list, unit) {
+				var key = unit.join();
+				if (!keys[key]) {
+					keys[key] = true;
+					list.push(unit);
+				}
 			}
-			return !cell.isFixed;
-		};
-
+			
+			$.each(grids, function(i, grid) {
+				var r, c, row, column;
+				for (r = 0; r < size; r += 1) {
+					row = [];
+					column = [];
+					for (c = 0; c < size; c += 1) {
+						row.push(calcCellIndexFromBoardPosition(grid.row + r, grid.column + c, width));
+						column.push(calcCellIndexFromBoardPosition(grid.row + c, grid.column + r, width));
+					}
+					addUnit(rowUnits, row);
+					addUnit(columnUnits, column);
+				}
+			});
+			initBoxes();
+		}
+		
 		/**
-		 * Checks whether the board is solved.
-		 * 
-		 * @return {bool} True if the board is solved, otherwise false.
+		 * Groups the cells into boxes, either by the box shape or by the region map. The regions
+		 * are numbered in the order their first cells appear, and each must be a connected shape
+		 * with as many cells as there are values.
 		 */
-		this.hasWon = function() {
-			var won = true;
+		function initBoxes() {
+			var labels = [];
+			var cellBoxes = [];
+			var valid = true;
 			
-			function check(walkFun) {
-				var usedNumbers;
-				walkFun(function(cell, x, newX) {
-					if (newX) {
-						usedNumbers = {};
-					}
-					if (!cell.value) {
-						won = false;
-					} else if (usedNumbers[cell.value]) {
-						won = false;
-					} else {
-						usedNumbers[cell.value] = true;
-					}
-					
-					if (!won) {
-						// Early exit.
-						return false;
-					}
-				});
+			function fill(idx, boxIdx, reached) {
+				var row = Math.floor(idx / width);
+				var col = idx % width;
+				if (reached[idx] || cellBoxes[idx] !== boxIdx) {
+					return 0;
+				}
+				reached[idx] = true;
+				return 1 + (row > 0 ? fill(idx - width, boxIdx, reached) : 0) +
+						(row < width - 1 ? fill(idx + width, boxIdx, reached) : 0) +
+						(col > 0 ? fill(idx - 1, boxIdx, reached) : 0) +
+						(col < width - 1 ? fill(idx + 1, boxIdx, reached) : 0);
 			}
 			
-			check(walkCellsByRow);
-			if (!won) {
-				check(walkCellsByColumn);
-			}
-			if(!won) {
-				check(walkCellsByBox);
-			}
+			$.each(cells, function(idx, cell) {
+				var label;
+				if (!isInGrid(cell.row, cell.column)) {
+					return;
+				}
+				if (regionMap === null) {
+					label = Math.floor((cell.row - 1) / boxHeight) + "," + Math.floor((cell.column - 1) / boxWidth);
+				} else {
+					label = regionMap.charAt(idx);
+				}
+				if ($.inArray(label, labels) === -1) {
+					labels.push(label);
+					boxes.push([]);
+				}
+				cellBoxes[idx] = $.inArray(label, labels);
+				boxes[cellBoxes[idx]].push(idx);
+			});
 			
-			return won;
-		};
+			if (regionMap !== null) {
+				valid = regionMap.length === cells.length && boxes.length === size;
+				$.each(boxes, function(boxIdx, box) {
+					valid = valid && box.length === size && fill(box[0], boxIdx, {}) === size;
+				});
+				if (!valid) {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (invalid regions)"
+					};
+				}
+				regionMap = $.map(cellBoxes, function(boxIdx) {
+					return formatValue(boxIdx + 1);
+				}).join("");
+			}
+		}
 		
 		/**
-		 * Returns all cells that conflict with other cells.
-		 * The cells are ordered by row primarily and column secondarily.
-		 * 
-		 * @return {array of Cell} Cells that are in a conflict.  
+		 * Checks that every cage has a sum and cells, and that no cell is in more than one cage.
 		 */
-		this.getConflicts = function() {
-			var conflicts = [];
-			
-			function check(walkFun) {
-				var cellsWithValue;
-				walkFun(function(cell, x, newX) {
-					if (newX) {
-						if (cellsWithValue) {
-							$.each(cellsWithValue, function(value, cells) {
-								if (cells && cells.length > 1) {
-									conflicts = conflicts.concat(cells);
-								}
-							});
-						}
-						cellsWithValue = {};
-					}
-									
-					if (cell.value) {
-						if(cellsWithValue[cell.value] === undefined) {
-							cellsWithValue[cell.value] = [cell];
-						} else {
-							cellsWithValue[cell.value].push(cell);
-						}
+		function checkCages() {
+			cages = $.map(cages, function(cage, cageIdx) {
+				var cageCells = cage.cells.slice().sort(function(a, b) {
+					return a - b;
+				});
+				var valid = cage.sum > 0 && cage.sum % 1 === 0 && cageCells.length > 0 && cageCells.length <= size;
+				
+				$.each(cageCells, function(i, idx) {
+					if (!(idx >= 0 && idx < cells.length && idx % 1 === 0) || cellCages.hasOwnProperty(idx) ||
+							!isInGrid(cells[idx].row, cells[idx].column)) {
+						valid = false;
+						return false;
 					}
+					cellCages[idx] = cageIdx;
 				});
+				if (!valid) {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (invalid cage)"
+					};
+				}
+				return { sum: cage.sum, cells: cageCells };
+			});
+		}
+		
+		/**
+		 * Checks that every edge marker has a known type and is between two neighbouring cells in
+		 * the same row or column, and that no two markers are on the same border.
+		 */
+		function checkEdges() {
+			var borders = {};
+			edges = $.map(edges, function(edge) {
+				var edgeCells = edge.cells.slice();
+				var valid = edgeMarkers.hasOwnProperty(edge.type) && edgeCells.length === 2;
+				var first, second, border;
 				
-				// Handle the last row/column/box.
-				$.each(cellsWithValue, function(value, cells) {
-					if (cells && cells.length > 1) {
-						conflicts = conflicts.concat(cells);
+				$.each(edgeCells, function(i, idx) {
+					if (!(idx >= 0 && idx < cells.length && idx % 1 === 0) ||
+							!isInGrid(cells[idx].row, cells[idx].column)) {
+						valid = false;
 					}
 				});
-			}
-			
-			check(walkCellsByRow);
-			check(walkCellsByColumn);
-			check(walkCellsByBox);
-			
-			conflicts = unique(conflicts);
-			conflicts.sort(function(a, b) {
-				if (a.row < b.row) {
-					return -1;
-				} else if(a.row > b.row) {
-					return 1;
-				} else if (a.column < b.column) {
-					return -1;
-				} else if(a.column > b.column) {
-					return 1;
-				} else {
-					// This shouldn't happen.
-					return 0;
+				if (valid) {
+					first = cells[edgeCells[0]];
+					second = cells[edgeCells[1]];
+					border = Math.min(edgeCells[0], edgeCells[1]) + "," + Math.max(edgeCells[0], edgeCells[1]);
+					valid = Math.abs(first.row - second.row) + Math.abs(first.column - second.column) === 1 &&
+							!borders.hasOwnProperty(border);
+					borders[border] = true;
+				}
+				if (!valid) {
+					throw {
+						name: "SudokuBoardError",
+						message: "Invalid board definition (invalid edge)"
+					};
 				}
+				return { type: edge.type, cells: edgeCells };
 			});
-			
-			return conflicts;
-		};
+		}
 		
+		function getCellAtPosition(row, col, copy) {
+			var idx = calcCellIndexFromBoardPosition(row, col, width);
+			var cell = cells[idx];
+			return copy ? Cell.fromCell(cell) : cell;
+		}
+		
+		function collectUnits(type) {
+			var units = [];
+			var builtInUnits = {
+				row: rowUnits,
+				column: columnUnits,
+				box: boxes
+			};
+
+			function collect(typeUnits) {
+				$.each(typeUnits || [], function(i, unit) {
+					units.push(unit.slice());
+				});
+			}
+
+			if (builtInUnits[type]) {
+				collect(builtInUnits[type]);
+			} else if (type) {
+				collect(constraintUnits[type]);
+			} else {
+				collect(rowUnits);
+				collect(columnUnits);
+				collect(boxes);
+				$.each(constraintNames, function(i, name) {
+					collect(constraintUnits[name]);
+				});
+			}
+
+			return units;
+		}
+		
+		function getPeers(cell) {
+			var idx = calcCellIndexFromBoardPosition(cell.row, cell.column, width);
+			var peers = [];
+			$.each(collectUnits(), function(i, unit) {
+				if ($.inArray(idx, unit) !== -1) {
+					$.each(unit, function(j, peerIdx) {
+						if (peerIdx !== idx) {
+							peers.push(cells[peerIdx]);
+						}
+					});
+				}
+			});
+			$.each(constraintPairs, function(i, pair) {
+				if (pair[0] === idx) {
+					peers.push(cells[pair[1]]);
+				} else if (pair[1] === idx) {
+					peers.push(cells[pair[0]]);
+				}
+			});
+			if (cellCages.hasOwnProperty(idx)) {
+				$.each(cages[cellCages[idx]].cells, function(i, peerIdx) {
+					if (peerIdx !== idx) {
+						peers.push(cells[peerIdx]);
+					}
+				});
+			}
+			return unique(peers);
+		}
+		
+		function getLegalValues(cell) {
+			var used = {};
+			var result = [];
+			var value;
+			$.each(getPeers(cell), function(i, peer) {
+				used[peer.value] = true;
+			});
+			for (value = 1; value <= size; value += 1) {
+				if (!used[value]) {
+					result.push(value);
+				}
+			}
+			return result;
+		}
+		
+		function isEditable(cell) {
+			return !cell.isFixed && !cell.isRevealed;
+		}
+		
+		function takeSnapshot() {
+			return $.map(cells, function(cell) {
+				return { value: cell.value, notes: cell.notes.slice(), isRevealed: cell.isRevealed };
+			});
+		}
+		
+		function diffSnapshots(before, after) {
+			var changes = [];
+			var i;
+			for (i = 0; i < cells.length; i += 1) {
+				if (before[i].value !== after[i].value || before[i].notes.join() !== after[i].notes.join() ||
+						before[i].isRevealed !== after[i].isRevealed) {
+					changes.push({ index: i, before: before[i], after: after[i] });
+				}
+			}
+			return changes;
+		}
+		
+		/**
+		 * Runs the mutate function and records the cells it changed as one history entry.
+		 * Returns what mutate returns.
+		 */
+		function recordChanges(mutate) {
+			var before = takeSnapshot();
+			var result = mutate();
+			var changes = diffSnapshots(before, takeSnapshot());
+			
+			if (changes.length) {
+				undoStack.push(changes);
+				redoStack = [];
+				notifyChanges(changes);
+			}
+			return result;
+		}
+		
+		function isUnitComplete(unit, values) {
+			var used = {};
+			var i, value;
+			for (i = 0; i < unit.length; i += 1) {
+				value = values[unit[i]];
+				if (!value || used[value]) {
+					return false;
+				}
+				used[value] = true;
+			}
+			return true;
+		}
+		
+		/**
+		 * Checks the pairs of cells that must not have the same value.
+		 */
+		function arePairsSatisfied(values) {
+			var i, value;
+			for (i = 0; i < constraintPairs.length; i += 1) {
+				value = values[constraintPairs[i][0]];
+				if (value && value === values[constraintPairs[i][1]]) {
+					return false;
+				}
+			}
+			return true;
+		}
+		
+		/**
+		 * Checks whether the values in a cage add up to more than its sum, or to a different sum
+		 * once the cage is full.
+		 */
+		function isCageSumBroken(cage, values) {
+			var total = 0, full = true;
+			$.each(cage.cells, function(i, idx) {
+				total += values[idx];
+				full = full && values[idx] !== 0;
+			});
+			return total > cage.sum || (full && total !== cage.sum);
+		}
+		
+		/**
+		 * Checks whether the filled in values of the two cells of an edge marker break it.
+		 */
+		function isEdgeBroken(edge, values) {
+			return !isEdgeSatisfied(edge.type, values[edge.cells[0]], values[edge.cells[1]]);
+		}
+		
+		function areEdgesSatisfied(values) {
+			var i;
+			for (i = 0; i < edges.length; i += 1) {
+				if (isEdgeBroken(edges[i], values)) {
+					return false;
+				}
+			}
+			return true;
+		}
+		
+		function areCagesSatisfied(values) {
+			var i;
+			for (i = 0; i < cages.length; i += 1) {
+				if (!isUnitComplete(cages[i].cells, values) || isCageSumBroken(cages[i], values)) {
+					return false;
+				}
+			}
+			return true;
+		}
+		
+		function getConflictsKey(conflicts) {
+			return $.map(conflicts, function(cell) {
+				return cell.row + "," + cell.column;
+			}).join(";");
+		}
+		
+		/**
+		 * Triggers the events for changes to the board, as produced by diffSnapshots().
+		 */
+		function notifyChanges(changes) {
+			var valuesAfter = $.map(cells, function(cell) {
+				return cell.value;
+			});
+			var valuesBefore = valuesAfter.slice();
+			var changedValues = {};
+			var wasWon = true, isWon = true;
+			var conflicts, newConflictsKey;
+			
+			$.each(changes, function(i, change) {
+				valuesBefore[change.index] = change.before.value;
+				if (change.before.value !== change.after.value) {
+					changedValues[change.index] = true;
+				}
+				events.trigger("cellChanged", {
+					cell: Cell.fromCell(cells[change.index]),
+					previous: $.extend(true, {}, change.before)
+				});
+			});
+			
+			$.each(["row", "column", "box"].concat(constraintNames), function(i, type) {
+				$.each(collectUnits(type), function(unitIdx, unit) {
+					var wasComplete = isUnitComplete(unit, valuesBefore);
+					var isComplete = isUnitComplete(unit, valuesAfter);
+					var changed = $.grep(unit, function(idx) {
+						return changedValues[idx];
+					}).length > 0;
+					
+					wasWon = wasWon && wasComplete;
+					isWon = isWon && isComplete;
+					if (changed && isComplete && !wasComplete) {
+						events.trigger("unitCompleted", {
+							type: type,
+							number: unitIdx + 1,
+							cells: $.map(unit, function(idx) {
+								return Cell.fromCell(cells[idx]);
+							})
+						});
+					}
+				});
+			});
+			
+			wasWon = wasWon && arePairsSatisfied(valuesBefore) && areCagesSatisfied(valuesBefore) &&
+					areEdgesSatisfied(valuesBefore);
+			isWon = isWon && arePairsSatisfied(valuesAfter) && areCagesSatisfied(valuesAfter) &&
+					areEdgesSatisfied(valuesAfter);
+			
+			conflicts = $.map(findConflicts(), function(cell) {
+				return Cell.fromCell(cell);
+			});
+			newConflictsKey = getConflictsKey(conflicts);
+			if (newConflictsKey !== conflictsKey) {
+				conflictsKey = newConflictsKey;
+				events.trigger("conflictsChanged", { conflicts: conflicts });
+			}
+			
+			if (isWon && !wasWon) {
+				events.trigger("won", {});
+			}
+		}
+		
+		function applyChanges(changes, state) {
+			$.each(changes, function(i, change) {
+				cells[change.index].value = change[state].value;
+				cells[change.index].notes = change[state].notes.slice();
+				cells[change.index].isRevealed = change[state].isRevealed;
+			});
+		}
+		
+		function setValue(cell, value) {
+			cell.value = value;
+			if (value && autoCleanupNotes) {
+				$.each(getPeers(cell), function(i, peer) {
+					peer.notes = $.grep(peer.notes, function(note) {
+						return note !== value;
+					});
+				});
+			}
+		}
+		
+		/** 
+		 * Returns the current board as an array of cells, row by row.
+		 * 
+		 * @return {array of Cell} The current board.
+		 */
+		this.getBoard = function() {
+			return $.extend(true, [], cells);
+		};
+		
+		/**
+		 * Returns the size of the board, which is also the number of values.
+		 * 
+		 * @return {number} The number of rows and columns of each grid, e.g. 9 for a 9x9 board.
+		 */
+		this.getSize = function() {
+			return size;
+		};
+		
+		/**
+		 * Returns the width of the whole board, which is larger than the size for boards of
+		 * several grids, such as Samurai Sudoku.
+		 * 
+		 * @return {number} The number of rows and columns of the board, e.g. 21 for Samurai Sudoku.
+		 */
+		this.getWidth = function() {
+			return width;
+		};
+		
+		/**
+		 * Returns the grids of the board. Most boards have one grid, but in puzzles such as
+		 * Samurai Sudoku several grids overlap, and their shared cells are in the units of each.
+		 * 
+		 * @return {array of object} The grids, each an object with the properties row and column,
+		 *                           the position of its top left cell.
+		 */
+		this.getGrids = function() {
+			return $.map(grids, function(grid) {
+				return { row: grid.row, column: grid.column };
+			});
+		};
+		
+		/**
+		 * Checks whether a position is in a grid. On boards of several grids, the positions
+		 * between the grids have cells that are fixed and have no value, so that they can't be
+		 * changed.
+		 * 
+		 * @param {number} row The row of the position.
+		 * @param {number} col The column of the position.
+		 * @return {bool} True if the position is in a grid, otherwise false.
+		 */
+		this.isInGrid = function(row, col) {
+			return isInGrid(row, col);
+		};
+		
+		/**
+		 * Returns the shape of the boxes.
+		 * 
+		 * @return {object} An object with the properties width and height, in cells.
+		 */
+		this.getBoxSize = function() {
+			return { width: boxWidth, height: boxHeight };
+		};
+		
+		/**
+		 * Returns the constraints the board has besides the classic rules.
+		 * 
+		 * @return {array of string} The names of the constraints, in the order they were given.
+		 */
+		this.getConstraints = function() {
+			return constraintNames.slice();
+		};
+		
+		/**
+		 * Returns the pairs of cells that may not contain the same value because of a constraint,
+		 * such as cells a knight's move apart. Cells in the same unit are not included.
+		 * 
+		 * @return {array of array of number} The pairs, each an array of two cell indices.
+		 */
+		this.getPairs = function() {
+			return $.map(constraintPairs, function(pair) {
+				return [pair.slice()];
+			});
+		};
+		
+		/**
+		 * Returns the Killer Sudoku cages of the board. The values in a cage must add up to its sum,
+		 * and can't repeat.
+		 * 
+		 * @return {array of object} The cages, each an object with the properties sum and cells
+		 *                           (the cell indices in ascending order, see getUnits()).
+		 */
+		this.getCages = function() {
+			return $.map(cages, function(cage) {
+				return { sum: cage.sum, cells: cage.cells.slice() };
+			});
+		};
+		
+		/**
+		 * Returns the irregular regions that replace the boxes in Jigsaw Sudoku.
+		 * 
+		 * @return {string} The region map, with the number of the region of each cell as a
+		 *                  character (see formatValue()), or null if the board has regular boxes.
+		 *                  The regions are numbered in the order their first cells appear, as the
+		 *                  boxes returned by getUnits() are.
+		 */
+		this.getRegions = function() {
+			return regionMap;
+		};
+		
+		/**
+		 * Returns the markers on the borders between neighbouring cells, as in Kropki and
+		 * Greater-than Sudoku. The type of a marker says how the values of its cells relate: "w"
+		 * (a white dot) for consecutive values, "b" (a black dot) for values where one is double
+		 * the other, and "g" (a greater-than sign) for a first value larger than the second.
+		 * 
+		 * @return {array of object} The markers, each an object with the properties type and cells
+		 *                           (the indices of its two cells, see getUnits()).
+		 */
+		this.getEdges = function() {
+			return $.map(edges, function(edge) {
+				return { type: edge.type, cells: edge.cells.slice() };
+			});
+		};
+		
+		/**
+		 * Returns the cell at the specified position.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @return {Cell} The cell.
+		 */
+		this.getCell = function(row, col) {
+			return getCellAtPosition(row, col, true);
+		};
+
+		/**
+		 * Returns the units of the board, i.e. the groups of cells that may not contain the same
+		 * value twice. Each unit is an array of cell indices, where the index of a cell is its
+		 * position in the array returned by getBoard(). Rows come first, then columns, boxes (or
+		 * the regions of a Jigsaw Sudoku, see getRegions()) and the units of the constraints, such
+		 * as the diagonals.
+		 *
+		 * @param {string} type Optional; one of "row", "column" and "box", or the name of a
+		 *                      constraint. If given, only units of that type are returned, ordered
+		 *                      by their row, column or box number.
+		 * @return {array of array of number} The units of the board.
+		 */
+		this.getUnits = function(type) {
+			return collectUnits(type);
+		};
+
+		/**
+		 * Sets the value for the specified cell. Only non-fixed cells can have their values changed,
+		 * and revealed cells can't be changed either.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @return {bool} True if the cell value could be changed, otherwise false.
+		 */
+		this.setCellValue = function(row, col, value) {
+			var cell = getCellAtPosition(row, col, false);
+			if (isEditable(cell)) {
+				recordChanges(function() {
+					setValue(cell, value);
+				});
+			}
+			return isEditable(cell);
+		};
+		
+		/**
+		 * Reveals the value of the specified cell, i.e. sets it to its value in the solution and
+		 * marks it as revealed. Revealed cells can't be changed afterwards.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @param {number} value The value of the cell in the solution.
+		 * @return {bool} True if the cell could be revealed, otherwise false.
+		 */
+		this.revealCell = function(row, col, value) {
+			var cell = getCellAtPosition(row, col, false);
+			var editable = isEditable(cell);
+			if (editable) {
+				recordChanges(function() {
+					setValue(cell, value);
+					cell.isRevealed = true;
+				});
+			}
+			return editable;
+		};
+		
+		/**
+		 * Reveals every cell that is empty or has a value different from the solution. This is
+		 * recorded as one change.
+		 * 
+		 * @param {string} solution The solution, as a board definition string.
+		 * @return {array of Cell} The cells that were revealed, ordered by row and column.
+		 */
+		this.revealAll = function(solution) {
+			return recordChanges(function() {
+				return $.map(cells, function(cell, idx) {
+					var value = parseValue(solution.charAt(idx));
+					if (!isEditable(cell) || cell.value === value) {
+						return null;
+					}
+					setValue(cell, value);
+					cell.isRevealed = true;
+					return Cell.fromCell(cell);
+				});
+			});
+		};
+		
+		/**
+		 * Returns the board definition string for the board.
+		 * 
+		 * @param {bool} withEntries Optional; whether to include the values of non-fixed cells.
+		 *                           By default only the fixed values are included.
+		 * @return {string} A string with a character for each cell, as given to the constructor.
+		 */
+		this.getBoardDef = function(withEntries) {
+			return $.map(cells, function(cell) {
+				return formatValue((cell.isFixed || withEntries) ? cell.value : 0);
+			}).join("");
+		};
+		
+		/**
+		 * Returns the definition of the puzzle: the board definition string with the fixed values,
+		 * followed by the box shape if it isn't the default one, and the constraints, cages, edge
+		 * markers, regions and grids if there are any. A board created from it has the same rules.
+		 * 
+		 * @return {string} The definition, e.g. "...;rules=diagonal" or "...;cages=10:0,1/...".
+		 */
+		this.getDefinition = function() {
+			var definition = this.getBoardDef();
+			var defaultBoxSize = getDefaultBoxSize(size);
+			if (boxWidth !== defaultBoxSize.width || boxHeight !== defaultBoxSize.height) {
+				definition += ";box=" + boxWidth + "x" + boxHeight;
+			}
+			if (constraintNames.length) {
+				definition += ";rules=" + constraintNames.join(",");
+			}
+			if (cages.length) {
+				definition += ";cages=" + formatCages(cages);
+			}
+			if (edges.length) {
+				definition += ";edges=" + formatEdges(edges);
+			}
+			if (regionMap !== null) {
+				definition += ";regions=" + regionMap;
+			}
+			if (grids.length > 1) {
+				definition += ";grids=" + formatGrids(grids);
+			}
+			return definition;
+		};
+		
+		/**
+		 * Returns the board in the SadMan .sdk format, with "." for empty cells.
+		 * 
+		 * @param {bool} withEntries Optional; whether to include the values of non-fixed cells.
+		 *                           By default only the fixed values are included.
+		 * @return {string} The board as a line for each row, after a [Puzzle] header.
+		 */
+		this.toSdk = function(withEntries) {
+			var boardDef = this.getBoardDef(withEntries).replace(/0/g, ".");
+			var lines = ["[Puzzle]"];
+			var i;
+			for (i = 0; i < cells.length; i += width) {
+				lines.push(boardDef.substr(i, width));
+			}
+			return lines.join("\n") + "\n";
+		};
+		
+		/**
+		 * Returns a compact code for the board, including fixed values, entries, revealed values
+		 * and notes, but not the history. The code only has characters that are safe in URLs.
+		 * The board can be restored from the code with Board.fromCode(). Only classic 9x9 boards
+		 * have codes.
+		 * 
+		 * @return {string} The code.
+		 */
+		this.getCode = function() {
+			var code = codeVersion;
+			var notes = "";
+			
+			if (size !== 9 || boxWidth !== 3 || constraintNames.length || cages.length || edges.length ||
+					regionMap !== null || grids.length > 1) {
+				throw {
+					name: "SudokuBoardError",
+					message: "Board codes are only supported for classic 9x9 boards"
+				};
+			}
+			
+			$.each(cells, function(idx, cell) {
+				var type = cell.isFixed ? CODE_FIXED : (cell.isRevealed ? CODE_REVEALED : CODE_ENTERED);
+				var mask = 0;
+				
+				// One character for the value, the type of cell and whether there are notes.
+				code += codeChars.charAt(cell.value + 10 * type + (cell.notes.length ? 30 : 0));
+				
+				// Two characters for the notes, as a bit mask, after all the cells.
+				if (cell.notes.length) {
+					$.each(cell.notes, function(i, note) {
+						mask |= 1 << (note - 1);
+					});
+					notes += codeChars.charAt(mask >> 6) + codeChars.charAt(mask & 63);
+				}
+			});
+			
+			return code + notes;
+		};
+		
+		/**
+		 * Turns automatic cleanup of notes on or off. When it is on, setting the value of a cell
+		 * removes that value from the notes of all cells that can't have the same value, such as
+		 * those in the same row, column and box.
+		 * It is off by default.
+		 * 
+		 * @param {bool} enabled Whether notes should be cleaned up automatically.
+		 */
+		this.setAutoCleanupNotes = function(enabled) {
+			autoCleanupNotes = enabled;
+		};
+		
+		/**
+		 * Notes every legal candidate in all empty cells, replacing their current notes. A value is
+		 * legal if no other cell that can't have the same value has it, such as those in the same
+		 * row, column or box.
+		 */
+		this.fillCandidates = function() {
+			recordChanges(function() {
+				$.each(cells, function(i, cell) {
+					if (!cell.isFixed && !cell.value) {
+						cell.notes = getLegalValues(cell);
+					}
+				});
+			});
+		};
+		
+		/**
+		 * Fills every empty cell that only has one legal value (a naked single) with that value.
+		 * The cells are found before any of them is filled, so this only makes one pass.
+		 * 
+		 * @return {array of Cell} The cells that were filled, ordered by row and column.
+		 */
+		this.fillNakedSingles = function() {
+			var singles = [];
+			$.each(cells, function(i, cell) {
+				var legalValues;
+				if (!cell.isFixed && !cell.value) {
+					legalValues = getLegalValues(cell);
+					if (legalValues.length === 1) {
+						singles.push({ cell: cell, value: legalValues[0] });
+					}
+				}
+			});
+			return recordChanges(function() {
+				return $.map(singles, function(single) {
+					setValue(single.cell, single.value);
+					return Cell.fromCell(single.cell);
+				});
+			});
+		};
+
+		/**
+		 * Toggles a note (pencil mark) for the specified cell. Fixed and revealed cells can't have notes.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @param {number} value The candidate to add or remove.
+		 * @return {bool} True if the notes could be changed, otherwise false.
+		 */
+		this.toggleCellNote = function(row, col, value) {
+			var cell = getCellAtPosition(row, col, false);
+			var notes;
+			if (!isEditable(cell)) {
+				return false;
+			}
+			
+			if ($.inArray(value, cell.notes) === -1) {
+				notes = cell.notes.concat([value]);
+			} else {
+				notes = $.grep(cell.notes, function(note) {
+					return note !== value;
+				});
+			}
+			return this.setCellNotes(row, col, notes);
+		};
+		
+		/**
+		 * Replaces the notes (pencil marks) of the specified cell. Fixed and revealed cells can't have
+		 * notes.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @param {array of number} values The candidates to note.
+		 * @return {bool} True if the notes could be changed, otherwise false.
+		 */
+		this.setCellNotes = function(row, col, values) {
+			var cell = getCellAtPosition(row, col, false);
+			if (isEditable(cell)) {
+				recordChanges(function() {
+					cell.notes = unique(values).sort(function(a, b) {
+						return a - b;
+					});
+				});
+			}
+			return isEditable(cell);
+		};
+		
+		/**
+		 * Removes all notes (pencil marks) from the specified cell.
+		 * 
+		 * @param {number} row The row of the cell.
+		 * @param {number} col The column of the cell.
+		 * @return {bool} True if the notes could be changed, otherwise false.
+		 */
+		this.clearCellNotes = function(row, col) {
+			return this.setCellNotes(row, col, []);
+		};
+
+		/**
+		 * Checks whether the board is solved: every unit has each value once, and every other
+		 * constraint is kept.
+		 * 
+		 * @return {bool} True if the board is solved, otherwise false.
+		 */
+		this.hasWon = function() {
+			var values = $.map(cells, function(cell) {
+				return cell.value;
+			});
+			var units = collectUnits();
+			var i;
+			
+			for (i = 0; i < units.length; i += 1) {
+				if (!isUnitComplete(units[i], values)) {
+					return false;
+				}
+			}
+			return arePairsSatisfied(values) && areCagesSatisfied(values) && areEdgesSatisfied(values);
+		};
+		
+		/**
+		 * Returns all cells that conflict with other cells.
+		 * The cells are ordered by row primarily and column secondarily.
+		 * 
+		 * @return {array of Cell} Cells that are in a conflict.  
+		 */
+		this.getConflicts = function() {
+			return findConflicts();
+		};
+		
+		function findConflicts() {
+			var conflicts = [];
+			var values = $.map(cells, function(cell) {
+				return cell.value;
+			});
+			var cageCells = $.map(cages, function(cage) {
+				return [cage.cells];
+			});
+			
+			// Values can't repeat within a cage either.
+			$.each(collectUnits().concat(cageCells), function(i, unit) {
+				var cellsWithValue = {};
+				$.each(unit, function(j, idx) {
+					var cell = cells[idx];
+					if (!cell.value) {
+						return;
+					}
+					if (cellsWithValue[cell.value] === undefined) {
+						cellsWithValue[cell.value] = [cell];
+					} else {
+						cellsWithValue[cell.value].push(cell);
+					}
+				});
+				$.each(cellsWithValue, function(value, valueCells) {
+					if (valueCells.length > 1) {
+						conflicts = conflicts.concat(valueCells);
+					}
+				});
+			});
+			
+			$.each(constraintPairs, function(i, pair) {
+				var first = cells[pair[0]], second = cells[pair[1]];
+				if (first.value && first.value === second.value) {
+					conflicts.push(first, second);
+				}
+			});
+			
+			$.each(cages, function(i, cage) {
+				if (isCageSumBroken(cage, values)) {
+					$.each(cage.cells, function(j, idx) {
+						if (cells[idx].value) {
+							conflicts.push(cells[idx]);
+						}
+					});
+				}
+			});
+			
+			$.each(edges, function(i, edge) {
+				if (isEdgeBroken(edge, values)) {
+					conflicts.push(cells[edge.cells[0]], cells[edge.cells[1]]);
+				}
+			});
+			
+			conflicts = unique(conflicts);
+			conflicts.sort(function(a, b) {
+				if (a.row < b.row) {
+					return -1;
+				} else if(a.row > b.row) {
+					return 1;
+				} else if (a.column < b.column) {
+					return -1;
+				} else if(a.column > b.column) {
+					return 1;
+				} else {
+					// This shouldn't happen.
+					return 0;
+				}
+			});
+			
+			return conflicts;
+		}
+		
+        /**
+         * Puts the board back into its original state.
+         */
+        this.restart = function() {
+            recordChanges(function() {
+                $.each(cells, function(idx, cell) {
+                    if (!cell.isFixed) {
+                        cell.value = 0;
+                        cell.notes = [];
+                        cell.isRevealed = false;
+                    }
+                });
+            });
+            events.trigger("restarted", {});
+        };
+        
+		/**
+		 * Undoes the last change to the board. A change is a call to any method that changes values
+		 * or notes, including bulk operations such as fillCandidates() and restart().
+		 * 
+		 * @return {bool} True if a change was undone, otherwise false.
+		 */
+		this.undo = function() {
+			var changes = undoStack.pop();
+			if (!changes) {
+				return false;
+			}
+			applyChanges(changes, "before");
+			redoStack.push(changes);
+			notifyChanges($.map(changes, function(change) {
+				return { index: change.index, before: change.after, after: change.before };
+			}));
+			return true;
+		};
+		
+		/**
+		 * Redoes the last undone change to the board.
+		 * 
+		 * @return {bool} True if a change was redone, otherwise false.
+		 */
+		this.redo = function() {
+			var changes = redoStack.pop();
+			if (!changes) {
+				return false;
+			}
+			applyChanges(changes, "after");
+			undoStack.push(changes);
+			notifyChanges(changes);
+			return true;
+		};
+		
+		/**
+		 * Checks whether there is a change to undo.
+		 * 
+		 * @return {bool} True if undo() would change the board, otherwise false.
+		 */
+		this.canUndo = function() {
+			return undoStack.length > 0;
+		};
+		
+		/**
+		 * Checks whether there is an undone change to redo.
+		 * 
+		 * @return {bool} True if redo() would change the board, otherwise false.
+		 */
+		this.canRedo = function() {
+			return redoStack.length > 0;
+		};
+		
+		/**
+		 * Forgets all changes, so that they can no longer be undone or redone.
+		 */
+		this.clearHistory = function() {
+			undoStack = [];
+			redoStack = [];
+		};
+		
+		/**
+		 * Returns the full state of the board, including notes and history, as a plain object that
+		 * can be serialized as JSON.
+		 * 
+		 * @return {object} The state of the board.
+		 */
+		this.getState = function() {
+			return {
+				boardDef: this.getBoardDef(),
+				boxWidth: boxWidth,
+				boxHeight: boxHeight,
+				constraints: constraintNames.slice(),
+				cages: this.getCages(),
+				edges: this.getEdges(),
+				regions: regionMap,
+				grids: this.getGrids(),
+				cells: takeSnapshot(),
+				undoStack: $.extend(true, [], undoStack),
+				redoStack: $.extend(true, [], redoStack)
+			};
+		};
+		
+		/**
+		 * Restores a state returned by getState(). The state must be for the same board definition.
+		 * 
+		 * @param {object} state The state to restore.
+		 */
+		this.setState = function(state) {
+			var before;
+			if (state.boardDef !== this.getBoardDef() || state.cells.length !== cells.length ||
+					(state.boxWidth && state.boxWidth !== boxWidth) ||
+					(state.constraints || []).join() !== constraintNames.join() ||
+					formatCages(state.cages || []) !== formatCages(cages) ||
+					formatEdges(state.edges || []) !== formatEdges(edges) ||
+					(state.regions || null) !== regionMap ||
+					(state.grids && formatGrids(state.grids) !== formatGrids(grids))) {
+				throw {
+					name: "SudokuBoardError",
+					message: "Invalid board state (different board)"
+				};
+			}
+			
+			before = takeSnapshot();
+			$.each(state.cells, function(idx, cellState) {
+				if (!cells[idx].isFixed) {
+					cells[idx].value = cellState.value;
+					cells[idx].notes = cellState.notes.slice();
+					cells[idx].isRevealed = cellState.isRevealed;
+				}
+			});
+			undoStack = $.extend(true, [], state.undoStack);
+			redoStack = $.extend(true, [], state.redoStack);
+			notifyChanges(diffSnapshots(before, takeSnapshot()));
+		};
+		
+		/**
+		 * Adds a handler for an event. The events are:
+		 * <ul>
+		 * <li>cellChanged: the value, notes or revealed state of a cell changed. The data has the
+		 *     properties cell (a copy of the changed cell) and previous (an object with the
+		 *     properties value, notes and isRevealed from before the change).</li>
+		 * <li>unitCompleted: a row, column, box or unit of a constraint was filled in without
+		 *     conflicts. The data has the properties type ("row", "column", "box" or the name of the
+		 *     constraint), number (starting at 1) and cells.</li>
+		 * <li>conflictsChanged: the cells in conflict changed. The data has the property
+		 *     conflicts, as returned by getConflicts().</li>
+		 * <li>won: the board was solved.</li>
+		 * <li>restarted: restart() was called.</li>
+		 * </ul>
+		 * The events are triggered after every change, including undo() and redo(), in this order.
+		 * 
+		 * @param {string} event The name of the event.
+		 * @param {function} handler The function to call with the event data.
+		 */
+		this.on = function(event, handler) {
+			events.on(event, handler);
+		};
+		
+		/**
+		 * Removes a handler added with on().
+		 * 
+		 * @param {string} event The name of the event.
+		 * @param {function} handler Optional; the handler to remove. All handlers for the event are
+		 *                           removed if not given.
+		 */
+		this.off = function(event, handler) {
+			events.off(event, handler);
+		};
+        
+		init();
+	}
+
+	/** The grids of Samurai Sudoku: four grids whose inner corner boxes overlap a centre grid. */
+	Board.SAMURAI = [
+		{ row: 1, column: 1 },
+		{ row: 1, column: 13 },
+		{ row: 7, column: 7 },
+		{ row: 13, column: 1 },
+		{ row: 13, column: 13 }
+	];
+	
+	/**
+	 * Creates a board from a code returned by Board.getCode().
+	 * 
+	 * @param {string} code The code.
+	 * @return {Board} The board, with the same values and notes as the board the code was made
+	 *                 from, and no history.
+	 */
+	Board.fromCode = function(code) {
+		var boardDef = "";
+		var cellStates = [];
+		var notesPos = 82;
+		var board, i, n, value, type, high, low, note, notes;
+		
+		function invalidCode() {
+			return {
+				name: "SudokuBoardError",
+				message: "Invalid board code"
+			};
+		}
+		
+		if (typeof code !== "string" || code.length < 82 || code.charAt(0) !== codeVersion) {
+			throw invalidCode();
+		}
+		
+		for (i = 0; i < 81; i += 1) {
+			n = codeChars.indexOf(code.charAt(i + 1));
+			if (n === -1 || n >= 60) {
+				throw invalidCode();
+			}
+			value = n % 10;
+			type = Math.floor(n / 10) % 3;
+			notes = [];
+			
+			if (n >= 30) {
+				high = codeChars.indexOf(code.charAt(notesPos));
+				low = codeChars.indexOf(code.charAt(notesPos + 1));
+				if (high === -1 || high >= 8 || low === -1) {
+					throw invalidCode();
+				}
+				notesPos += 2;
+				for (note = 1; note <= 9; note += 1) {
+					if ((high * 64 + low) & (1 << (note - 1))) {
+						notes.push(note);
+					}
+				}
+			}
+			
+			if ((type !== CODE_ENTERED && !value) || (type === CODE_FIXED && notes.length)) {
+				throw invalidCode();
+			}
+			
+			boardDef += type === CODE_FIXED ? value : 0;
+			cellStates.push({
+				value: type === CODE_FIXED ? 0 : value,
+				notes: notes,
+				isRevealed: type === CODE_REVEALED
+			});
+		}
+		if (notesPos !== code.length) {
+			throw invalidCode();
+		}
+		
+		board = new Board(boardDef);
+		board.setState({
+			boardDef: boardDef,
+			cells: cellStates,
+			undoStack: [],
+			redoStack: []
+		});
+		return board;
+	};
+
+    /** The colour themes of the canvas, by name. See registerTheme(). */
+    var registeredThemes = {};
+    
+    /** The number of canvases that runners have drawn in, for naming the events of each. */
+    var canvasCount = 0;
+    
+    /**
+     * Registers a colour theme for drawing the board, so that it can be chosen with
+     * SudokuRunner.setTheme(). A theme is an object with the colours of the board, as CSS
+     * colours: backgroundColor, borderColor, cellTextColor, conflictCellTextColor,
+     * revealedCellTextColor, noteTextColor, activeCellColor, notesModeActiveCellColor,
+     * incorrectCellColor, hintUnitColor, hintCellColor, shadedCellColor, cageBorderColor,
+     * cageSumBackgroundColor, edgeMarkerColor, edgeMarkerFillColor, winCellColor and
+     * pausedTextColor. Colours that are left out are taken from the "light" theme.
+     * 
+     * @param {string} name The name of the theme. A theme with the same name is replaced.
+     * @param {object} theme The colours of the theme.
+     */
+    function registerTheme(name, theme) {
+        registeredThemes[name] = $.extend({}, registeredThemes.light, theme);
+    }
+    
+    registerTheme("light", {
+        backgroundColor: "#ffffff",
+        borderColor: "#000000",
+        cellTextColor: "#000000",
+        conflictCellTextColor: "#cc0000",
+        revealedCellTextColor: "#2a62c9",
+        noteTextColor: "#666666",
+        activeCellColor: "#efefef",
+        notesModeActiveCellColor: "#fff3c4",
+        incorrectCellColor: "#ffd6d6",
+        hintUnitColor: "#e3f0ff",
+        hintCellColor: "#b8d8ff",
+        shadedCellColor: "#f1edf9",
+        cageBorderColor: "#555555",
+        cageSumBackgroundColor: "#ffffff",
+        edgeMarkerColor: "#000000",
+        edgeMarkerFillColor: "#ffffff",
+        winCellColor: "lightgreen",
+        pausedTextColor: "#888888"
+    });
+    
+    registerTheme("dark", {
+        backgroundColor: "#1e1e1e",
+        borderColor: "#c8c8c8",
+        cellTextColor: "#e6e6e6",
+        conflictCellTextColor: "#ff6b6b",
+        revealedCellTextColor: "#7fb0ff",
+        noteTextColor: "#a0a0a0",
+        activeCellColor: "#3a3a3a",
+        notesModeActiveCellColor: "#4a4326",
+        incorrectCellColor: "#5c2b2b",
+        hintUnitColor: "#1f3347",
+        hintCellColor: "#2f5275",
+        shadedCellColor: "#2c2838",
+        cageBorderColor: "#b0b0b0",
+        cageSumBackgroundColor: "#1e1e1e",
+        edgeMarkerColor: "#e6e6e6",
+        edgeMarkerFillColor: "#1e1e1e",
+        winCellColor: "#2e6b3a",
+        pausedTextColor: "#8a8a8a"
+    });
+    
+    registerTheme("highContrast", {
+        backgroundColor: "#ffffff",
+        borderColor: "#000000",
+        cellTextColor: "#000000",
+        conflictCellTextColor: "#d00000",
+        revealedCellTextColor: "#0000cc",
+        noteTextColor: "#000000",
+        activeCellColor: "#ffe000",
+        notesModeActiveCellColor: "#00e5ff",
+        incorrectCellColor: "#ff8080",
+        hintUnitColor: "#bfe0ff",
+        hintCellColor: "#66b3ff",
+        shadedCellColor: "#d9d9d9",
+        cageBorderColor: "#000000",
+        cageSumBackgroundColor: "#ffffff",
+        edgeMarkerColor: "#000000",
+        edgeMarkerFillColor: "#ffffff",
+        winCellColor: "#00c800",
+        pausedTextColor: "#000000"
+    });
+    
+    registerTheme("sepia", {
+        backgroundColor: "#f4ecd8",
+        borderColor: "#5b4636",
+        cellTextColor: "#3b2f22",
+        conflictCellTextColor: "#b22222",
+        revealedCellTextColor: "#2f5d8a",
+        noteTextColor: "#7a6652",
+        activeCellColor: "#e6d8b5",
+        notesModeActiveCellColor: "#f0dd9e",
+        incorrectCellColor: "#eec3b0",
+        hintUnitColor: "#e2e4d2",
+        hintCellColor: "#cdd6c0",
+        shadedCellColor: "#e8dcc8",
+        cageBorderColor: "#6e5a45",
+        cageSumBackgroundColor: "#f4ecd8",
+        edgeMarkerColor: "#5b4636",
+        edgeMarkerFillColor: "#f4ecd8",
+        winCellColor: "#c9dca0",
+        pausedTextColor: "#8c7a62"
+    });
+    
+    /**
+     * Creates a sudoku game.
+     * 
+     * @class Runs a game of sudoku, picking a board and letting the player solve it.
+     * @constructor
+     * @param {string} difficulty Optional; the difficulty of the boards to pick, one of
+     *                            SUDOKU.Grader.difficulties. Any board is picked if not given.
+     *                            Boards of other sizes than 9x9 are generated, and get any
+     *                            difficulty if none of the chosen one is found quickly.
+     * @param {number|string} puzzle Optional; the first puzzle to play, as a puzzle id (see
+     *                               SUDOKU.getPuzzleById()), a board definition string or a board
+     *                               code (see Board.getCode()). A board is picked if not given, or
+     *                               if it is not a valid puzzle.
+     */
+    function SudokuRunner(difficulty, puzzle) {
+        var board = null;
+        var activeCell = null;
+        var hasWon = false;
+        var conflicts = [];
+        var notesMode = false;
+        var hint = null;
+        var hintsUsed = 0;
+        // Candidates ruled out by hints, which the logic solver can't see on the board.
+        var hintEliminations = [];
+        var mistakes = 0;
+        var solution = null;
+        var incorrectCells = [];
+        var gameId = null;
+        // Whether a move was made in the game, which is when it counts as started.
+        var played = false;
+        var startTime = 0;
+        var finishTime = null;
+        var elapsedBeforeStart = 0;
+        var paused = false;
+        var revealedAll = false;
+        var result = null;
+        var assistance = {
+            autoCandidates: true,
+            autoCleanupNotes: true,
+            fillSingles: true
+        };
+        
+        var runner = null;
+        var events = createEvents();
+        var size = 9;
+        var constraints = [];
+        var grids = null;
+        var variant = null;
+        
+        function generateBoard() {
+            var options = {
+                size: size,
+                constraints: constraints,
+                grids: grids,
+                cages: variant === "killer",
+                dots: variant === "kropki",
+                jigsaw: variant === "jigsaw"
+            };
+            var boardDef = null;
+            if (variant === "jigsaw" && grids) {
+                // A region map covers one grid.
+                return null;
+            }
+            if (difficulty) {
+                boardDef = new SUDOKU.Generator($.extend({ difficulty: difficulty, maxAttempts: 5 }, options)).generate();
+            }
+            if (!boardDef) {
+                boardDef = new SUDOKU.Generator(options).generate();
+            }
+            return boardDef && new Board(boardDef, { constraints: constraints, grids: grids });
+        }
+        
+        /**
+         * Returns the variant of a board, as given to newGame().
+         */
+        function getVariant(fromBoard) {
+            var kropki = $.grep(fromBoard.getEdges(), function(edge) {
+                return edge.type !== "g";
+            }).length > 0;
+            if (fromBoard.getCages().length) {
+                return "killer";
+            } else if (kropki) {
+                return "kropki";
+            }
+            return fromBoard.getRegions() !== null ? "jigsaw" : null;
+        }
+        
+        /**
+         * Returns a board with the givens of the board being played, and the same shape and rules.
+         */
+        function getGivensBoard(fromBoard) {
+            return new Board(fromBoard.getDefinition());
+        }
+        
+        function initBoard(newBoard) {
+            var boards = SUDOKU.sudokuBoards;
+            var boardIdx = -1;
+            if (!newBoard) {
+                if (difficulty) {
+                    boardIdx = SUDOKU.Grader.pickRandomBoard(difficulty);
+                }
+                if (boardIdx === -1) {
+                    boardIdx = Math.floor(Math.random() * boards.length);
+                }
+                newBoard = new Board(boards[boardIdx]);
+            }
+            startGame(newBoard, createGameId(), 0, 0, 0);
+        }
+        
+        /**
+         * Creates the board for a puzzle id, board definition string or board code.
+         * Returns null if it is not a valid puzzle, including boards that don't have exactly one
+         * solution.
+         */
+        function findPuzzle(puzzle) {
+            var newBoard = null;
+            try {
+                if (typeof puzzle === "string" && puzzle.charAt(0) === codeVersion) {
+                    newBoard = Board.fromCode(puzzle);
+                } else if (typeof puzzle === "string" && puzzle.length >= 16) {
+                    // Puzzle ids are shorter than any board definition.
+                    newBoard = new Board(puzzle);
+                } else if (SUDOKU.getPuzzleById(puzzle)) {
+                    newBoard = new Board(SUDOKU.getPuzzleById(puzzle));
+                }
+            } catch (e) {
+                if (e.name === "SudokuBoardError") {
+                    return null;
+                }
+                throw e;
+            }
+            // Entries can be wrong, but the givens must have a single solution, which checking
+            // entries and counting mistakes go by.
+            if (newBoard && new SUDOKU.Solver(getGivensBoard(newBoard)).countSolutions(2) !== 1) {
+                return null;
+            }
+            return newBoard;
+        }
+        
+        function leaveGame() {
+            // A game that was only looked at, like the one shown when the page is opened, isn't
+            // given up.
+            if (played && !hasWon) {
+                events.trigger("gameAbandoned", { id: gameId });
+            }
+        }
+        
         /**
-         * Puts the board back into its original state.
+         * Counts the game as started at its first move.
          */
-        this.restart = function() {
-            walkCellsByRow(function (cell, newRow, rowIdx) {
-                if (!cell.isFixed) {
-                    cell.value = 0;
-                }
-            });
-        };
+        function play() {
+            if (!played) {
+                played = true;
+                events.trigger("gameStarted", { id: gameId });
+            }
+        }
         
-		init();
-	}
-
-    function SudokuRunner() {
-        var board = null;
-        var activeCell = null;
-        var hasWon = false;
-        var conflicts = [];
+        function createGameId() {
+            return new Date().getTime().toString(36) + "-" + Math.floor(Math.random() * 1e6).toString(36);
+        }
         
-        var runner = null;
+        function startGame(newBoard, id, elapsedTime, hints, mistakeCount) {
+            board = newBoard;
+            board.setAutoCleanupNotes(assistance.autoCleanupNotes);
+            size = board.getSize();
+            constraints = board.getConstraints();
+            grids = board.getGrids().length > 1 ? board.getGrids() : null;
+            variant = getVariant(board);
+            forwardBoardEvents();
+            setActiveCell(null);
+            hasWon = false;
+            conflicts = board.getConflicts();
+            hint = null;
+            hintsUsed = hints;
+            hintEliminations = [];
+            mistakes = mistakeCount;
+            solution = null;
+            incorrectCells = [];
+            gameId = id;
+            played = false;
+            startTime = new Date().getTime();
+            finishTime = null;
+            elapsedBeforeStart = elapsedTime;
+            paused = false;
+            revealedAll = false;
+            result = null;
+        }
         
-        function initBoard() {
-            var boards = SUDOKU.sudokuBoards;
-            var boardDef = boards[Math.floor(Math.random() * boards.length)];
-            board = new Board(boardDef);
+        function getElapsedTime() {
+            if (paused) {
+                return elapsedBeforeStart;
+            }
+            return elapsedBeforeStart + (finishTime || new Date().getTime()) - startTime;
+        }
+        
+        function setPaused(pause) {
+            if (pause === paused || (pause && hasWon)) {
+                return;
+            }
+            if (pause) {
+                elapsedBeforeStart = getElapsedTime();
+                paused = true;
+                autosave();
+            } else {
+                startTime = new Date().getTime();
+                paused = false;
+            }
+            runner.drawBoard();
+        }
+        
+        function recordResult() {
+            var puzzle = board.getDefinition();
+            var time = getElapsedTime();
+            var puzzleDifficulty = SUDOKU.Grader.grade(getGivensBoard(board)).difficulty;
+            var edgeTypes = $.map(board.getEdges(), function(edge) {
+                return edge.type;
+            }).join("");
+            // Times on other sizes and variants aren't comparable with those on classic boards.
+            var category = board.getConstraints().concat(board.getRegions() !== null ? ["jigsaw"] : [],
+                    board.getCages().length ? ["killer"] : [], /[wb]/.test(edgeTypes) ? ["kropki"] : [],
+                    edgeTypes.indexOf("g") !== -1 ? ["greater-than"] : [], puzzleDifficulty);
+            var gridCount = board.getGrids().length;
+            if (formatGrids(board.getGrids()) === formatGrids(Board.SAMURAI)) {
+                category.unshift("samurai");
+            } else if (gridCount > 1) {
+                category.unshift(gridCount + " grids");
+            }
+            if (board.getSize() !== 9) {
+                category.unshift(board.getSize() + "x" + board.getSize());
+            }
+            category = category.join(" ");
+            
+            result = {
+                time: time,
+                size: board.getSize(),
+                difficulty: puzzleDifficulty,
+                category: category,
+                hintsUsed: hintsUsed,
+                mistakes: mistakes,
+                revealed: revealedAll,
+                // Giving up doesn't count towards best times.
+                bestTimes: revealedAll ? null : SUDOKU.BestTimes.record(puzzle, category, time)
+            };
+            
+            if (revealedAll) {
+                events.trigger("gameAbandoned", { id: gameId });
+            }
+        }
+        
+        function autosave() {
+            if (!played) {
+                // There is nothing to resume yet.
+                return;
+            }
+            if (hasWon) {
+                SUDOKU.SavedGames.remove(gameId);
+            } else {
+                SUDOKU.SavedGames.save({
+                    id: gameId,
+                    difficulty: difficulty || null,
+                    board: board.getState(),
+                    elapsedTime: getElapsedTime(),
+                    hintsUsed: hintsUsed,
+                    mistakes: mistakes
+                });
+            }
+        }
+        
+        function getSolution() {
+            if (!solution) {
+                solution = new SUDOKU.Solver(getGivensBoard(board)).solve();
+            }
+            return solution;
+        }
+        
+        function getSolutionValue(cell) {
+            return parseValue(getSolution().charAt((cell.row - 1) * board.getWidth() + (cell.column - 1)));
         }
         
         function isCellInConflict(cell) {
@@ -343,13 +2154,13 @@ var SUDOKU = (function($) {
                     break;
                 case 2:
                     // Right
-                    if (cell.column < 9) {
+                    if (cell.column < board.getWidth()) {
                         result = board.getCell(cell.row, cell.column + 1);
                     }
                     break;
                 case 3:
                     // Down
-                    if (cell.row < 9) {
+                    if (cell.row < board.getWidth()) {
                         result = board.getCell(cell.row + 1, cell.column);
                     }
                     break;
@@ -357,39 +2168,227 @@ var SUDOKU = (function($) {
             return result;
         }
         
+        function handleNoteInput(number) {
+            if (!activeCell || board.getCell(activeCell.row, activeCell.column).value) {
+                return;
+            }
+            
+            if (number) {
+                board.toggleCellNote(activeCell.row, activeCell.column, number);
+            } else {
+                board.clearCellNotes(activeCell.row, activeCell.column);
+            }
+            play();
+            hint = null;
+            autosave();
+        }
+        
+        function getUnitCells(unit) {
+            var cellIndices = board.getUnits(unit.type)[unit.number - 1];
+            var cells = board.getBoard();
+            return $.map(cellIndices, function(idx) {
+                return cells[idx];
+            });
+        }
+        
+        /**
+         * Returns the name of a unit for the player. Rows and columns are numbered as on the
+         * whole board, which on boards of several grids differs from their unit numbers.
+         */
+        function getUnitName(unit) {
+            var firstCell = getUnitCells(unit)[0];
+            if (unit.type === "row") {
+                return "row " + firstCell.row;
+            } else if (unit.type === "column") {
+                return "column " + firstCell.column;
+            }
+            return unit.type + " " + unit.number;
+        }
+        
+        function applyHintStep(step) {
+            var appliedHint = hint;
+            $.each(step.placements, function(i, placement) {
+                board.setCellValue(placement.row, placement.column, placement.value);
+            });
+            $.each(step.eliminations, function(i, elimination) {
+                var notes = board.getCell(elimination.row, elimination.column).notes;
+                if ($.inArray(elimination.value, notes) !== -1) {
+                    board.setCellNotes(elimination.row, elimination.column, $.grep(notes, function(note) {
+                        return note !== elimination.value;
+                    }));
+                }
+            });
+            hintEliminations = hintEliminations.concat(step.eliminations);
+            updateGameState();
+            // The hint stays shown on the board it changed.
+            hint = appliedHint;
+        }
+        
+        function giveHint() {
+            var step, region, message, level;
+            
+            if (hasWon) {
+                return null;
+            }
+            
+            if (new SUDOKU.Solver(board).countSolutions(1) === 0) {
+                hint = null;
+                return {
+                    level: 0,
+                    message: "Some of your entries are wrong. Fix them before asking for a hint.",
+                    step: null
+                };
+            }
+            
+            step = new SUDOKU.LogicSolver(board, hintEliminations).getNextStep();
+            if (!step) {
+                hint = null;
+                return {
+                    level: 0,
+                    message: "No logical step was found for this position.",
+                    step: null
+                };
+            }
+            
+            if (hint && hint.step.description === step.description) {
+                hint.level += 1;
+            } else {
+                hint = { step: step, level: 1 };
+            }
+            level = hint.level;
+            play();
+            hintsUsed += 1;
+            events.trigger("hintUsed", { hintsUsed: hintsUsed });
+            
+            region = step.unit ? getUnitName(step.unit) : "the highlighted cells";
+            switch (level) {
+                case 1:
+                    message = "Look closely at " + region + ".";
+                    break;
+                case 2:
+                    message = "Try this technique in " + region + ": " + step.technique + ".";
+                    break;
+                default:
+                    message = step.description + ".";
+                    applyHintStep(step);
+                    break;
+            }
+            
+            return {
+                level: level,
+                message: message,
+                step: step
+            };
+        }
+        
         function handleNumberInput(number) {
             if (!activeCell) {
                 return;
             }
             
-            board.setCellValue(activeCell.row, activeCell.column, number);
-            if (board.hasWon()) {
-                activeCell = null;
+            if (board.setCellValue(activeCell.row, activeCell.column, number) &&
+                    number && getSolution() && number !== getSolutionValue(activeCell)) {
+                mistakes += 1;
+                events.trigger("mistakeMade", { mistakes: mistakes });
+            }
+            updateGameState();
+        }
+        
+        function undo() {
+            if (hasWon || !board.undo()) {
+                return false;
+            }
+            updateGameState();
+            runner.drawBoard();
+            return true;
+        }
+        
+        function redo() {
+            if (hasWon || !board.redo()) {
+                return false;
+            }
+            updateGameState();
+            runner.drawBoard();
+            return true;
+        }
+        
+        function updateGameState() {
+            play();
+            // Any change to the board makes the current hint and check stale.
+            hint = null;
+            incorrectCells = [];
+            if (board.hasWon() && !hasWon) {
+                setActiveCell(null);
                 hasWon = true;
-            } else {
-                conflicts = board.getConflicts();
+                finishTime = new Date().getTime();
+                recordResult();
+                events.trigger("won", result);
+            }
+            autosave();
+        }
+        
+        function forwardBoardEvents() {
+            board.on("conflictsChanged", function(data) {
+                conflicts = data.conflicts;
+            });
+            $.each(["cellChanged", "unitCompleted", "conflictsChanged"], function(i, event) {
+                board.on(event, function(data) {
+                    events.trigger(event, data);
+                });
+            });
+        }
+        
+        function setActiveCell(cell) {
+            var previous = activeCell;
+            if (cell === previous || (cell && previous && cell.row === previous.row && cell.column === previous.column)) {
+                return;
             }
+            activeCell = cell;
+            events.trigger("activeCellChanged", {
+                cell: cell && board.getCell(cell.row, cell.column),
+                previous: previous
+            });
         }
         
         function CanvasRunner(drawingCanvas, clientSettings) {
             var defaultSettings = {
                 cellSize: 30,
+                // Whether to size the cells to fit the width of the element the canvas is in,
+                // between minCellSize and maxCellSize, instead of using cellSize.
+                adjustToCanvas: false,
+                minCellSize: 16,
+                maxCellSize: 60,
                 
                 outerBorderWidth: 2,
                 cellBorderWidth: 1,
                 boxBorderWidth: 2,
                 
-                fontSize: "12px",
+                // The font sizes are fitted to the cells, as fractions of the height of a cell and
+                // of a note, unless fontSize and noteFontSize are given, e.g. "12px".
+                fontSize: null,
+                noteFontSize: null,
+                fontScale: 0.4,
+                noteFontScale: 0.8,
                 fontFamily: "Sans-serif",
-                activeCellColor: "#efefef",
-                winCellColor: "lightgreen",
-                cellTextColor: "#000000",
-                conflictCellTextColor: "#cc0000",
+                cageInset: 3,
+                edgeMarkerSize: 4,
+                
+                // Touch input: how long a press toggles notes mode, in milliseconds, and how far a
+                // finger has to move to swipe to the next cell, in CSS pixels.
+                longPressDelay: 500,
+                swipeDistance: 30,
+                
+                // The name of the colour theme, or null to follow the light or dark colour scheme
+                // of the system. Colours given in the settings, such as cellTextColor, take
+                // precedence over those of the theme; see registerTheme().
+                theme: null
             };
             
             var settings = $.extend({}, defaultSettings, clientSettings);
             
             var cellSize = settings.cellSize;
+            // Canvas pixels per CSS pixel, which is more than 1 on high resolution screens.
+            var pixelRatio = 1;
             
             var $canvas = $(drawingCanvas);
             var canvas = $canvas.get(0); // Make sure that it's not wrapped in a jQuery object.
@@ -398,17 +2397,130 @@ var SUDOKU = (function($) {
             var outerBorderWidth = settings.outerBorderWidth;
             var cellBorderWidth = settings.cellBorderWidth;
             var boxBorderWidth = settings.boxBorderWidth;
-            var borderWidthPerAxis = 2 * outerBorderWidth + 6 * cellBorderWidth + 2 * boxBorderWidth;
-            var boardSideSize = 9 * cellSize + borderWidthPerAxis;
             
-            var activeCellBackgroundColor = settings.activeCellColor;
-            var cellTextColor = settings.cellTextColor;
-            var cellTextColorConflict = settings.conflictCellTextColor;
-            var cellFont = "normal " + settings.fontSize + " " + settings.fontFamily;
-            var fixedCellFont = "bold " + settings.fontSize + " " + settings.fontFamily;
-            var winCellColor = settings.winCellColor;
+            // The layout depends on the size of the board being played; see updateLayout().
+            var layoutKey = "";
+            var boardSize = 0, boxWidth = 0, boxHeight = 0;
+            var boardWidth = 0, boardHeight = 0;
+            var grids = [];
+            // The box of each cell by index, if the boxes don't line up in rows and columns as in
+            // Jigsaw and Samurai Sudoku, or null otherwise. Positions between grids have none.
+            var cellBoxes = null;
+            
+            var noteFont, noteFontHeight;
+            var cellFont, fixedCellFont;
+            var pausedFont;
+            var cageInset = settings.cageInset;
+            var edgeMarkerSize = settings.edgeMarkerSize;
+            
+            var themeName = settings.theme;
+            // The colours of the theme, with those given in the settings instead.
+            var colors = {};
+            var colorSettings = {};
+            var darkSchemeQuery = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+            // The namespace of the page events handled for this canvas, so that they can be unbound.
+            var eventNamespace = ".sudokuRunner" + (canvasCount += 1);
+            
+            $.each(registeredThemes.light, function(key) {
+                if (clientSettings && clientSettings[key] !== undefined) {
+                    colorSettings[key] = clientSettings[key];
+                }
+            });
             
             var cellPixelPositions = {};
+            // Where the current touch on the board started, and whether it became a long press.
+            var touchStart = null;
+            
+            function calcBoardSideLength(boxesPerSide, sideCellSize) {
+                var boxBorders = boxesPerSide - 1;
+                var cellBorders = boardSize - 1 - boxBorders;
+                return 2 * outerBorderWidth + boxBorders * boxBorderWidth + cellBorders * cellBorderWidth +
+                        boardSize * sideCellSize;
+            }
+            
+            /**
+             * Returns the largest cell size at which the board fits the width of the element the
+             * canvas is in, within the limits of the settings.
+             */
+            function calcFittingCellSize(boxesPerRow) {
+                var available = $canvas.parent().width() - calcBoardSideLength(boxesPerRow, 0);
+                var fitting = Math.floor(available / boardSize);
+                return Math.max(settings.minCellSize, Math.min(settings.maxCellSize, fitting));
+            }
+            
+            function getFont(weight, fontSize, scale, height) {
+                return weight + " " + (fontSize || Math.round(scale * height) + "px") + " " + settings.fontFamily;
+            }
+            
+            /**
+             * Sizes the canvas for the board being played, if its size or box shape changed, or the
+             * cells have to be resized to fit the page or the pixel ratio of the screen.
+             */
+            function updateLayout() {
+                var boxSize = board.getBoxSize();
+                // Boxes can border each other between any two cells on Jigsaw and multi-grid
+                // boards, so every border leaves room for a box border.
+                var isIrregular = board.getRegions() !== null || board.getGrids().length > 1;
+                var boxesPerRow, boxesPerColumn, newLayoutKey;
+                
+                boardSize = board.getWidth();
+                boxesPerRow = isIrregular ? boardSize : boardSize / boxSize.width;
+                boxesPerColumn = isIrregular ? boardSize : boardSize / boxSize.height;
+                cellSize = settings.adjustToCanvas ? calcFittingCellSize(boxesPerRow) : settings.cellSize;
+                pixelRatio = window.devicePixelRatio || 1;
+                
+                newLayoutKey = [boardSize, boxSize.width, board.getRegions(), formatGrids(board.getGrids()),
+                                cellSize, pixelRatio].join(";");
+                if (newLayoutKey === layoutKey) {
+                    return;
+                }
+                
+                layoutKey = newLayoutKey;
+                boxWidth = boxSize.width;
+                boxHeight = boxSize.height;
+                grids = board.getGrids();
+                cellBoxes = null;
+                if (isIrregular) {
+                    cellBoxes = [];
+                    $.each(board.getUnits("box"), function(boxIdx, box) {
+                        $.each(box, function(i, idx) {
+                            cellBoxes[idx] = boxIdx;
+                        });
+                    });
+                }
+                boardWidth = calcBoardSideLength(boxesPerRow, cellSize);
+                boardHeight = calcBoardSideLength(boxesPerColumn, cellSize);
+                cellPixelPositions = {};
+                
+                cellFont = getFont("normal", settings.fontSize, settings.fontScale, cellSize);
+                fixedCellFont = getFont("bold", settings.fontSize, settings.fontScale, cellSize);
+                pausedFont = fixedCellFont;
+                noteFontHeight = settings.noteFontSize ? parseFloat(settings.noteFontSize) :
+                        Math.round(settings.noteFontScale * cellSize / boxHeight);
+                noteFont = getFont("normal", settings.noteFontSize, settings.noteFontScale, cellSize / boxHeight);
+                
+                // The canvas has a pixel for each screen pixel, and everything is drawn in CSS
+                // pixels scaled up to them, so that the board is sharp on high resolution screens.
+                canvas.width = Math.round(boardWidth * pixelRatio);
+                canvas.height = Math.round(boardHeight * pixelRatio);
+                $canvas.css({ width: boardWidth + "px", height: boardHeight + "px" });
+            }
+            
+            /**
+             * Returns the name of the theme in use, which follows the colour scheme of the system
+             * if no theme was chosen.
+             */
+            function getThemeInUse() {
+                if (themeName !== null) {
+                    return themeName;
+                }
+                return darkSchemeQuery && darkSchemeQuery.matches ? "dark" : "light";
+            }
+            
+            function applyTheme() {
+                colors = $.extend({}, registeredThemes[getThemeInUse()], colorSettings);
+                events.trigger("themeChanged", { theme: getThemeInUse(), colors: $.extend({}, colors) });
+            }
             
             function getCellPixelCoords(cell) {
                 return cellPixelPositions[cell.row + "," + cell.column];
@@ -421,12 +2533,18 @@ var SUDOKU = (function($) {
                 };
             }
             
+            /**
+             * Returns the position on the board, in the units the board is drawn in, of a position
+             * on the page. The page can show the canvas at another size, e.g. if its style limits
+             * its width.
+             */
             function calcCanvasCoordsFromPageCoords(pageX, pageY) {
-                var boardX = pageX - $canvas.offset().left;
-                var boardY = pageY - $canvas.offset().top;
+                var offset = $canvas.offset();
+                var scaleX = $canvas.width() ? boardWidth / $canvas.width() : 1;
+                var scaleY = $canvas.height() ? boardHeight / $canvas.height() : 1;
                 return {
-                    boardX: boardX,
-                    boardY: boardY
+                    boardX: (pageX - offset.left) * scaleX,
+                    boardY: (pageY - offset.top) * scaleY
                 };
             }
             
@@ -435,8 +2553,8 @@ var SUDOKU = (function($) {
                 var rowStart, rowEnd, colStart, colEnd;
                 var cell, cellPosition;
                 
-                for (row = 1; row <= 9; row += 1) {
-                    for (col = 1; col <= 9; col += 1) {
+                for (row = 1; row <= boardSize; row += 1) {
+                    for (col = 1; col <= boardSize; col += 1) {
                         cell = board.getCell(row, col);
                         cellPosition = getCellPixelCoords(cell);
                         
@@ -457,31 +2575,42 @@ var SUDOKU = (function($) {
                     
             function drawOuterBorder() {
                 var lineOffset = outerBorderWidth * 0.5;
-                var lineLength = boardSideSize;
+                // With several grids every border is as wide as a box border; see updateLayout().
+                var gridSide = board.getSize() * (cellSize + boxBorderWidth) - boxBorderWidth + outerBorderWidth;
                 
                 context.beginPath();
                 
-                // Left vertical border.
-                context.moveTo(lineOffset, 0);
-                context.lineTo(lineOffset, lineLength);
-                // Right vertical border.
-                context.moveTo(boardSideSize - lineOffset, 0);
-                context.lineTo(boardSideSize - lineOffset, lineLength);
-                // Top horizontal border.
-                context.moveTo(0, lineOffset);
-                context.lineTo(lineLength, lineOffset);
-                // Bottom horizontal border.
-                context.moveTo(0, boardSideSize - lineOffset);
-                context.lineTo(lineLength, boardSideSize - lineOffset);
+                if (grids.length > 1) {
+                    // Each grid has its own border, as there are no cells between the grids.
+                    $.each(grids, function(i, grid) {
+                        context.rect(outerBorderWidth + (grid.column - 1) * (cellSize + boxBorderWidth) - lineOffset,
+                                     outerBorderWidth + (grid.row - 1) * (cellSize + boxBorderWidth) - lineOffset,
+                                     gridSide, gridSide);
+                    });
+                } else {
+                    // Left vertical border.
+                    context.moveTo(lineOffset, 0);
+                    context.lineTo(lineOffset, boardHeight);
+                    // Right vertical border.
+                    context.moveTo(boardWidth - lineOffset, 0);
+                    context.lineTo(boardWidth - lineOffset, boardHeight);
+                    // Top horizontal border.
+                    context.moveTo(0, lineOffset);
+                    context.lineTo(boardWidth, lineOffset);
+                    // Bottom horizontal border.
+                    context.moveTo(0, boardHeight - lineOffset);
+                    context.lineTo(boardWidth, boardHeight - lineOffset);
+                }
                         
                 context.lineWidth = outerBorderWidth;
-                context.strokeStyle = "#000";
+                context.strokeStyle = colors.borderColor;
                 context.stroke();
             }
             
             function drawCellBorders() {
                 var lineOffset; // = cellBorderWidth * 0.5;
-                var lineLength = (9 * cellSize) + (6 * cellBorderWidth) + (2 * boxBorderWidth);
+                var verticalLineLength = boardHeight - 2 * outerBorderWidth;
+                var horizontalLineLength = boardWidth - 2 * outerBorderWidth;
                 var lineWidth;
                 var row, col;
                 var verticalOffset, horizontalOffset;
@@ -489,66 +2618,139 @@ var SUDOKU = (function($) {
                 
                 verticalOffset = outerBorderWidth;
                 
-                for(row = 1; row <= 9; row += 1) {
+                for(row = 1; row <= boardSize; row += 1) {
                     // (Re)start from the left.
                     horizontalOffset = outerBorderWidth;
                     
-                    for (col = 1; col <= 9; col += 1) {
+                    for (col = 1; col <= boardSize; col += 1) {
                         // Store cell position.
                         cell = board.getCell(row, col);
                         setCellPixelCoords(cell, horizontalOffset, verticalOffset);
                         
-                        if (col < 9) {
+                        if (col < boardSize) {
                             // Vertical line.
                             context.beginPath();
                             
-                            lineWidth = (col % 3 === 0) ? boxBorderWidth : cellBorderWidth;
+                            lineWidth = (cellBoxes !== null || col % boxWidth === 0) ? boxBorderWidth : cellBorderWidth;
                             lineOffset = lineWidth * 0.5;
                             
                             horizontalOffset += cellSize + lineOffset;
                             context.moveTo(horizontalOffset, outerBorderWidth);
-                            context.lineTo(horizontalOffset, outerBorderWidth + lineLength);
+                            context.lineTo(horizontalOffset, outerBorderWidth + verticalLineLength);
                             horizontalOffset += lineOffset;
                             
-                            context.lineWidth = lineWidth;
-                            context.strokeStyle = "#000";
-                            context.stroke();
+                            if (cellBoxes === null) {
+                                context.lineWidth = lineWidth;
+                                context.strokeStyle = colors.borderColor;
+                                context.stroke();
+                            }
                         }
                     }
                     
-                    if (row < 9) {
+                    if (row < boardSize) {
                         // Horizontal line.
                         context.beginPath();
                                                 
-                        lineWidth = (row % 3 === 0) ? boxBorderWidth : cellBorderWidth;
+                        lineWidth = (cellBoxes !== null || row % boxHeight === 0) ? boxBorderWidth : cellBorderWidth;
                         lineOffset = lineWidth * 0.5;
                         
                         verticalOffset += cellSize + lineOffset;
                         context.moveTo(outerBorderWidth, verticalOffset);
-                        context.lineTo(outerBorderWidth + lineLength, verticalOffset);
+                        context.lineTo(outerBorderWidth + horizontalLineLength, verticalOffset);
                         verticalOffset += lineOffset;
                         
-                        context.lineWidth = lineWidth;
-                        context.strokeStyle = "#000";
-                        context.stroke();
+                        if (cellBoxes === null) {
+                            context.lineWidth = lineWidth;
+                            context.strokeStyle = colors.borderColor;
+                            context.stroke();
+                        }
+                    }
+                }
+                
+                if (cellBoxes === null) {
+                    context.lineWidth = cellBorderWidth;
+                    context.strokeStyle = colors.borderColor;
+                    context.stroke();
+                } else {
+                    drawBordersByCell(false);
+                    drawBordersByCell(true);
+                }
+            }
+            
+            /**
+             * Draws the borders between cells one at a time, for boards whose boxes don't line up
+             * in rows and columns. Every border leaves room for a box border, but cells of the same
+             * box only have a cell border between them.
+             * 
+             * @param {bool} boxBorders Whether to draw the borders between cells of different boxes,
+             *                          or those between cells of the same box.
+             */
+            function drawBordersByCell(boxBorders) {
+                var halfWidth = boxBorderWidth * 0.5;
+                var row, col, idx;
+                var cellPosition, x, y;
+                
+                function hasBorder(idx, neighbourIdx) {
+                    var box = cellBoxes[idx];
+                    var neighbourBox = cellBoxes[neighbourIdx];
+                    // There are no borders between positions outside the grids.
+                    if (box === undefined && neighbourBox === undefined) {
+                        return false;
                     }
+                    return (box !== neighbourBox) === boxBorders;
                 }
                 
-                context.lineWidth = cellBorderWidth;
-                context.strokeStyle = "#000";
+                context.beginPath();
+                for (row = 1; row <= boardSize; row += 1) {
+                    for (col = 1; col <= boardSize; col += 1) {
+                        idx = calcCellIndexFromBoardPosition(row, col, boardSize);
+                        cellPosition = getCellPixelCoords({ row: row, column: col });
+                        
+                        if (col < boardSize && hasBorder(idx, idx + 1)) {
+                            x = cellPosition.boardX + cellSize + halfWidth;
+                            context.moveTo(x, cellPosition.boardY - halfWidth);
+                            context.lineTo(x, cellPosition.boardY + cellSize + halfWidth);
+                        }
+                        if (row < boardSize && hasBorder(idx, idx + boardSize)) {
+                            y = cellPosition.boardY + cellSize + halfWidth;
+                            context.moveTo(cellPosition.boardX - halfWidth, y);
+                            context.lineTo(cellPosition.boardX + cellSize + halfWidth, y);
+                        }
+                    }
+                }
+                context.lineWidth = boxBorders ? boxBorderWidth : cellBorderWidth;
+                context.strokeStyle = colors.borderColor;
                 context.stroke();
             }
             
+            /**
+             * Draws text with the middle of its glyphs on the given point. Centering by the font's
+             * baseline and the width of the text leaves digits a little off, as they sit above the
+             * middle of the font's height. Without glyph measurements, that is what it falls back to.
+             */
+            function fillCenteredText(text, centerX, centerY) {
+                var metrics;
+                context.textAlign = "left";
+                context.textBaseline = "alphabetic";
+                metrics = context.measureText(text);
+                if (metrics.actualBoundingBoxLeft === undefined || metrics.actualBoundingBoxAscent === undefined) {
+                    context.textAlign = "center";
+                    context.textBaseline = "middle";
+                    context.fillText(text, centerX, centerY);
+                    return;
+                }
+                context.fillText(text,
+                                 centerX - (metrics.actualBoundingBoxRight - metrics.actualBoundingBoxLeft) / 2,
+                                 centerY + (metrics.actualBoundingBoxAscent - metrics.actualBoundingBoxDescent) / 2);
+            }
+            
             function drawNumbers() {
                 var row, col;
                 var cell, cellPosition;
                 var centerX, centerY;
                 
-                context.textAlign = "center";
-                context.textBaseline = "middle";
-                
-                for (row = 1; row <= 9; row += 1) {
-                    for (col = 1; col <= 9; col += 1) {
+                for (row = 1; row <= boardSize; row += 1) {
+                    for (col = 1; col <= boardSize; col += 1) {
                         cell = board.getCell(row, col);
                         if (cell.value) {
                             cellPosition = getCellPixelCoords(cell);
@@ -556,9 +2758,11 @@ var SUDOKU = (function($) {
                             centerY = cellPosition.boardY + cellSize / 2;
                             
                             if (isCellInConflict(cell)) {
-                                context.fillStyle = cellTextColorConflict;
+                                context.fillStyle = colors.conflictCellTextColor;
+                            } else if (cell.isRevealed) {
+                                context.fillStyle = colors.revealedCellTextColor;
                             } else {
-                                context.fillStyle = cellTextColor;
+                                context.fillStyle = colors.cellTextColor;
                             }
                             
                             if (cell.isFixed) {
@@ -567,43 +2771,280 @@ var SUDOKU = (function($) {
                                 context.font = cellFont;
                             }
                             
-                            context.fillText(cell.value, centerX, centerY);    
+                            fillCenteredText(formatValue(cell.value), centerX, centerY);
+                        } else if (cell.notes.length) {
+                            drawNotes(cell);
                         }
                     }
                 }
             }
             
+            function drawNotes(cell) {
+                var cellPosition = getCellPixelCoords(cell);
+                var noteWidth = cellSize / boxWidth;
+                var noteHeight = cellSize / boxHeight;
+                var i, note, centerX, centerY;
+                
+                context.fillStyle = colors.noteTextColor;
+                context.font = noteFont;
+                
+                // The notes are laid out like the cells of a box, with 1 in the top left corner.
+                for (i = 0; i < cell.notes.length; i += 1) {
+                    note = cell.notes[i];
+                    centerX = cellPosition.boardX + ((note - 1) % boxWidth + 0.5) * noteWidth;
+                    centerY = cellPosition.boardY + (Math.floor((note - 1) / boxWidth) + 0.5) * noteHeight;
+                    fillCenteredText(formatValue(note), centerX, centerY);
+                }
+            }
+            
             function drawActiveCell() {
                 if (activeCell) {
                     var coords = getCellPixelCoords(activeCell);
-                    context.fillStyle = activeCellBackgroundColor;
+                    context.fillStyle = notesMode ? colors.notesModeActiveCellColor : colors.activeCellColor;
+                    context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                }
+            }
+            
+            function drawIncorrectCells() {
+                context.fillStyle = colors.incorrectCellColor;
+                $.each(incorrectCells, function(i, cell) {
+                    var coords = getCellPixelCoords(cell);
                     context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                });
+            }
+            
+            function drawHint() {
+                if (!hint) {
+                    return;
+                }
+                
+                function fillCells(cells, color) {
+                    context.fillStyle = color;
+                    $.each(cells, function(i, cell) {
+                        var coords = getCellPixelCoords(cell);
+                        context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                    });
+                }
+                
+                if (hint.step.unit) {
+                    fillCells(getUnitCells(hint.step.unit), colors.hintUnitColor);
+                }
+                // The cells of the pattern are only given away once the technique is named.
+                if (hint.level >= 2 || !hint.step.unit) {
+                    fillCells(hint.step.cells, colors.hintCellColor);
+                }
+            }
+            
+            /**
+             * Shades the cells of the units of constraints that want them shaded, such as the
+             * diagonals.
+             */
+            function drawShadedUnits() {
+                var cells = board.getBoard();
+                
+                context.fillStyle = colors.shadedCellColor;
+                $.each(board.getConstraints(), function(i, name) {
+                    if (!registeredConstraints[name].shaded) {
+                        return;
+                    }
+                    $.each(board.getUnits(name), function(j, unit) {
+                        $.each(unit, function(k, idx) {
+                            var coords = getCellPixelCoords(cells[idx]);
+                            context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                        });
+                    });
+                });
+            }
+            
+            /**
+             * Draws the Killer Sudoku cages as dashed outlines just inside their cells, with the
+             * sum in the top left corner of the first cell.
+             */
+            function drawCages() {
+                var cells = board.getBoard();
+                var cellCages = {};
+                var sides = [
+                    // The direction out of the cell, and the direction the side is drawn in.
+                    { out: { row: -1, col: 0 }, along: { row: 0, col: 1 } },
+                    { out: { row: 1, col: 0 }, along: { row: 0, col: 1 } },
+                    { out: { row: 0, col: -1 }, along: { row: 1, col: 0 } },
+                    { out: { row: 0, col: 1 }, along: { row: 1, col: 0 } }
+                ];
+                
+                function isInCage(cageIdx, row, col) {
+                    return row >= 1 && row <= boardSize && col >= 1 && col <= boardSize &&
+                            cellCages[calcCellIndexFromBoardPosition(row, col, boardSize)] === cageIdx;
+                }
+                
+                /**
+                 * Returns the position of a cell along a direction, i.e. its x coordinate for
+                 * horizontal directions and its y coordinate for vertical ones.
+                 */
+                function getPositionAlong(row, col, direction) {
+                    var coords = getCellPixelCoords(cells[calcCellIndexFromBoardPosition(row, col, boardSize)]);
+                    return direction.col ? coords.boardX : coords.boardY;
+                }
+                
+                /**
+                 * Returns where a side starts or ends, at the neighbour in the given direction. The
+                 * line continues into the neighbour if it is in the cage, and to the inner corner if
+                 * the cell beyond the side is in the cage too.
+                 */
+                function getSideEnd(cageIdx, cell, side, sign) {
+                    var row = cell.row + sign * side.along.row;
+                    var col = cell.column + sign * side.along.col;
+                    var position = getPositionAlong(cell.row, cell.column, side.along);
+                    var neighbourPosition;
+                    
+                    if (!isInCage(cageIdx, row, col)) {
+                        return sign < 0 ? position + cageInset : position + cellSize - cageInset;
+                    }
+                    neighbourPosition = getPositionAlong(row, col, side.along);
+                    if (isInCage(cageIdx, row + side.out.row, col + side.out.col)) {
+                        return sign < 0 ? neighbourPosition + cellSize - cageInset : neighbourPosition + cageInset;
+                    }
+                    return sign < 0 ? neighbourPosition + cellSize : neighbourPosition;
+                }
+                
+                function drawSide(cageIdx, cell, side) {
+                    var coords = getCellPixelCoords(cell);
+                    var start = getSideEnd(cageIdx, cell, side, -1);
+                    var end = getSideEnd(cageIdx, cell, side, 1);
+                    var offset = side.out.row + side.out.col < 0 ? cageInset : cellSize - cageInset;
+                    
+                    if (side.along.col) {
+                        context.moveTo(start, coords.boardY + offset);
+                        context.lineTo(end, coords.boardY + offset);
+                    } else {
+                        context.moveTo(coords.boardX + offset, start);
+                        context.lineTo(coords.boardX + offset, end);
+                    }
+                }
+                
+                $.each(board.getCages(), function(cageIdx, cage) {
+                    $.each(cage.cells, function(i, idx) {
+                        cellCages[idx] = cageIdx;
+                    });
+                });
+                
+                context.beginPath();
+                $.each(board.getCages(), function(cageIdx, cage) {
+                    $.each(cage.cells, function(i, idx) {
+                        var cell = cells[idx];
+                        $.each(sides, function(j, side) {
+                            if (!isInCage(cageIdx, cell.row + side.out.row, cell.column + side.out.col)) {
+                                drawSide(cageIdx, cell, side);
+                            }
+                        });
+                    });
+                });
+                context.lineWidth = 1;
+                context.strokeStyle = colors.cageBorderColor;
+                // Dashed lines aren't supported by all browsers, but solid ones will do.
+                if (context.setLineDash) {
+                    context.setLineDash([3, 2]);
+                }
+                context.stroke();
+                if (context.setLineDash) {
+                    context.setLineDash([]);
                 }
+                
+                context.font = noteFont;
+                context.textAlign = "left";
+                context.textBaseline = "top";
+                $.each(board.getCages(), function(cageIdx, cage) {
+                    var coords = getCellPixelCoords(cells[cage.cells[0]]);
+                    var label = String(cage.sum);
+                    
+                    context.fillStyle = colors.cageSumBackgroundColor;
+                    context.fillRect(coords.boardX + 1, coords.boardY + 1, context.measureText(label).width + 2, noteFontHeight + 1);
+                    context.fillStyle = colors.cageBorderColor;
+                    context.fillText(label, coords.boardX + 2, coords.boardY + 1);
+                });
+            }
+            
+            /**
+             * Draws the markers on the borders between cells: white and black Kropki dots, and
+             * greater-than signs pointing at the smaller cell. They are drawn after the cell
+             * backgrounds, which would otherwise cover the half of a marker inside a cell.
+             */
+            function drawEdgeMarkers() {
+                var cells = board.getBoard();
+                
+                $.each(board.getEdges(), function(i, edge) {
+                    var first = getCellPixelCoords(cells[edge.cells[0]]);
+                    var second = getCellPixelCoords(cells[edge.cells[1]]);
+                    // The middle of the shared border, and the direction from the first cell to the second.
+                    var x = (first.boardX + second.boardX + cellSize) / 2;
+                    var y = (first.boardY + second.boardY + cellSize) / 2;
+                    var dx = second.boardX > first.boardX ? 1 : (second.boardX < first.boardX ? -1 : 0);
+                    var dy = second.boardY > first.boardY ? 1 : (second.boardY < first.boardY ? -1 : 0);
+                    var half = edgeMarkerSize / 2;
+                    
+                    context.beginPath();
+                    if (edge.type === "g") {
+                        // The point of the sign is towards the smaller, second cell, and its arms
+                        // spread out along the border.
+                        context.moveTo(x - half * dx - edgeMarkerSize * dy, y - half * dy - edgeMarkerSize * dx);
+                        context.lineTo(x + half * dx, y + half * dy);
+                        context.lineTo(x - half * dx + edgeMarkerSize * dy, y - half * dy + edgeMarkerSize * dx);
+                        context.lineWidth = 2;
+                    } else {
+                        context.arc(x, y, edgeMarkerSize, 0, 2 * Math.PI);
+                        context.fillStyle = edge.type === "b" ? colors.edgeMarkerColor : colors.edgeMarkerFillColor;
+                        context.fill();
+                        context.lineWidth = 1;
+                    }
+                    context.strokeStyle = colors.edgeMarkerColor;
+                    context.stroke();
+                });
             }
             
             function drawWinState() {
                 var row, col, cell, coords;
                 
-                context.fillStyle = winCellColor;
+                context.fillStyle = colors.winCellColor;
                 
-                for (row = 1; row <= 9; row += 1) {
-                    for (col = 1; col <= 9; col += 1) {
-                        cell = board.getCell(row, col);
-                        coords = getCellPixelCoords(cell);
-                        context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                for (row = 1; row <= boardSize; row += 1) {
+                    for (col = 1; col <= boardSize; col += 1) {
+                        if (board.isInGrid(row, col)) {
+                            cell = board.getCell(row, col);
+                            coords = getCellPixelCoords(cell);
+                            context.fillRect(coords.boardX, coords.boardY, cellSize, cellSize);
+                        }
                     }
                 }
             }
             
+            function drawPaused() {
+                context.fillStyle = colors.pausedTextColor;
+                context.font = pausedFont;
+                fillCenteredText("Paused", boardWidth / 2, boardHeight / 2);
+            }
+            
             function drawBoardPrivate() {
-                context.clearRect(0, 0, canvas.width, canvas.height);
+                updateLayout();
+                context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+                context.clearRect(0, 0, boardWidth, boardHeight);
+                context.fillStyle = colors.backgroundColor;
+                context.fillRect(0, 0, boardWidth, boardHeight);
                 drawOuterBorder();
+                if (paused) {
+                    // Nothing of the board is shown while paused.
+                    drawPaused();
+                    return;
+                }
                 drawCellBorders();
                 if (hasWon) {
                     drawWinState();
                 } else {
+                    drawShadedUnits();
+                    drawIncorrectCells();
+                    drawHint();
                     drawActiveCell();
                 }
+                drawCages();
+                drawEdgeMarkers();
                 drawNumbers();
             }
                     
@@ -611,27 +3052,101 @@ var SUDOKU = (function($) {
                 drawBoardPrivate();
             };
             
+            this.setTheme = function(name) {
+                if (name !== null && !registeredThemes.hasOwnProperty(name)) {
+                    return false;
+                }
+                themeName = name;
+                applyTheme();
+                drawBoardPrivate();
+                return true;
+            };
+            
+            this.getTheme = function() {
+                return getThemeInUse();
+            };
+            
+            this.destroy = function() {
+                cancelTouch();
+                $(document).add(window).add($canvas).off(eventNamespace);
+                if (darkSchemeQuery && darkSchemeQuery.removeListener) {
+                    darkSchemeQuery.removeListener(handleSchemeChange);
+                }
+            };
+            
+            /**
+             * Selects the cell that was clicked or tapped, or unselects the active cell if the
+             * click was outside the board.
+             * 
+             * @param {object} evt The click event, or the touch of a tap, with pageX and pageY.
+             */
             function handleClick(evt) {
                 if (hasWon) {
                     return;
                 }
                 
                 var boardPosition = calcCanvasCoordsFromPageCoords(evt.pageX, evt.pageY);
-                var clickedCell = getCellAtBoardCoords(boardPosition.boardX, boardPosition.boardY);
+                var clickedCell;
+                
+                if (paused) {
+                    // Clicking the board continues the game.
+                    if (boardPosition.boardX >= 0 && boardPosition.boardX <= boardWidth &&
+                            boardPosition.boardY >= 0 && boardPosition.boardY <= boardHeight) {
+                        setPaused(false);
+                    }
+                    return;
+                }
                 
-                if (clickedCell && !clickedCell.isFixed) {
-                    activeCell = clickedCell;
+                clickedCell = getCellAtBoardCoords(boardPosition.boardX, boardPosition.boardY);
+                
+                if (clickedCell && !clickedCell.isFixed && !clickedCell.isRevealed) {
+                    setActiveCell(clickedCell);
                     drawBoardPrivate();
                 } else if (clickedCell === null && activeCell) {
-                    activeCell = null;
+                    setActiveCell(null);
                     drawBoardPrivate();
                 }
-            }
-            
-            function handleKeydown(evt) {
-                var key = evt.which;
-                var number = null;
-                var direction = null, newActiveCell;
+            }
+            
+            function handleKeydown(evt) {
+                var key = evt.which;
+                var number = null;
+                var direction = null;
+                
+                // Typing in the form fields of the page is not meant for the board.
+                if ($(evt.target).is("input, textarea, select") || evt.target.isContentEditable) {
+                    return;
+                }
+                
+                if (evt.ctrlKey || evt.metaKey || evt.altKey) {
+                    // Other keys with these are the browser's shortcuts, such as Ctrl+P for printing.
+                    // Alt is left out of undo and redo because Ctrl+Alt is AltGr on some keyboards.
+                    if (paused || evt.altKey) {
+                        return;
+                    }
+                    if (key === 90) {
+                        // Ctrl+Z undoes, Ctrl+Shift+Z redoes.
+                        evt.preventDefault();
+                        if (evt.shiftKey) {
+                            redo();
+                        } else {
+                            undo();
+                        }
+                    } else if (key === 89) {
+                        // Ctrl+Y redoes.
+                        evt.preventDefault();
+                        redo();
+                    }
+                    return;
+                }
+                
+                if (key === 80) {
+                    // P pauses and continues.
+                    setPaused(!paused);
+                    return;
+                } else if (paused) {
+                    return;
+                }
                 
                 if (key >= 48 && key <= 58) {
                     // Main numeric keys.
@@ -652,33 +3167,153 @@ var SUDOKU = (function($) {
                     // 39: right
                     // 40: down
                     direction = key - 37;
+                } else if (key === 78) {
+                    // N toggles notes mode.
+                    notesMode = !notesMode;
+                    drawBoardPrivate();
+                } else if (key >= 65 && key < 65 + board.getSize() - 9) {
+                    // Letters, for values above 9 on larger boards.
+                    number = key - 55;
+                }
+                
+                if (number > board.getSize()) {
+                    number = null;
                 }
                 
                 if (number !== null && activeCell) {
-                    handleNumberInput(number);
+                    // Holding shift enters notes without switching modes.
+                    if (notesMode !== evt.shiftKey) {
+                        handleNoteInput(number);
+                    } else {
+                        handleNumberInput(number);
+                    }
                     drawBoardPrivate();
-                } else if (direction !== null && activeCell) {
-                    // Find adjacent non-fixed cell.
-                    newActiveCell = activeCell;
-                    do {
-                        newActiveCell = getAdjacentCell(newActiveCell, direction);
-                    } while (newActiveCell && newActiveCell.isFixed);
-                    
-                    if (newActiveCell) {
-                        activeCell = newActiveCell;
-                        drawBoardPrivate();
+                } else if (direction !== null) {
+                    moveActiveCell(direction);
+                }
+            }
+            
+            /**
+             * Selects the nearest cell that can be changed in a direction from the active cell:
+             * 0 for left, 1 for up, 2 for right and 3 for down.
+             */
+            function moveActiveCell(direction) {
+                var newActiveCell = activeCell;
+                if (!activeCell) {
+                    return;
+                }
+                
+                do {
+                    newActiveCell = getAdjacentCell(newActiveCell, direction);
+                } while (newActiveCell && (newActiveCell.isFixed || newActiveCell.isRevealed));
+                
+                if (newActiveCell) {
+                    setActiveCell(newActiveCell);
+                    drawBoardPrivate();
+                }
+            }
+            
+            function handleTouchStart(evt) {
+                var touches = evt.originalEvent.touches;
+                var touch = touches[0];
+                
+                cancelTouch();
+                if (touches.length !== 1) {
+                    // Pinching and other gestures are left to the browser.
+                    return;
+                }
+                touchStart = { pageX: touch.pageX, pageY: touch.pageY, isLongPress: false };
+                touchStart.timer = setTimeout(function() {
+                    // A long press toggles notes mode, and selects the pressed cell.
+                    touchStart.isLongPress = true;
+                    if (hasWon || paused) {
+                        return;
                     }
+                    notesMode = !notesMode;
+                    handleClick(touchStart);
+                    drawBoardPrivate();
+                }, settings.longPressDelay);
+            }
+            
+            function handleTouchMove(evt) {
+                var touch = evt.originalEvent.touches[0];
+                if (!touchStart) {
+                    return;
+                }
+                if (Math.max(Math.abs(touch.pageX - touchStart.pageX),
+                             Math.abs(touch.pageY - touchStart.pageY)) >= settings.swipeDistance) {
+                    clearTimeout(touchStart.timer);
                 }
+                // Swiping on the board doesn't scroll the page.
+                evt.preventDefault();
             }
             
-            function initGui() {
-                canvas.width = boardSideSize;
-                canvas.height = boardSideSize;
+            function handleTouchEnd(evt) {
+                var touch = evt.originalEvent.changedTouches[0];
+                var start = touchStart;
+                var dx, dy;
+                
+                if (!start) {
+                    return;
+                }
+                cancelTouch();
+                // Handling the tap here keeps the browser from sending a click after a delay.
+                evt.preventDefault();
+                if (start.isLongPress || hasWon) {
+                    return;
+                }
                 
-                $(document).click(handleClick).keydown(handleKeydown);
+                dx = touch.pageX - start.pageX;
+                dy = touch.pageY - start.pageY;
+                if (Math.max(Math.abs(dx), Math.abs(dy)) < settings.swipeDistance) {
+                    handleClick(touch);
+                } else if (!paused && Math.abs(dx) > Math.abs(dy)) {
+                    moveActiveCell(dx < 0 ? 0 : 2);
+                } else if (!paused) {
+                    moveActiveCell(dy < 0 ? 1 : 3);
+                }
+            }
+            
+            function cancelTouch() {
+                if (touchStart) {
+                    clearTimeout(touchStart.timer);
+                    touchStart = null;
+                }
+            }
+            
+            function initGui() {
+                $(document).on("click" + eventNamespace, handleClick).on("keydown" + eventNamespace, handleKeydown)
+                        .on("visibilitychange" + eventNamespace, handleVisibilityChange);
+                // Touches are handled as they happen, rather than by the clicks the browser makes of
+                // them, and the board takes all gestures but pinching.
+                $canvas.css("touch-action", "pinch-zoom").on("touchstart" + eventNamespace, handleTouchStart)
+                        .on("touchmove" + eventNamespace, handleTouchMove).on("touchend" + eventNamespace, handleTouchEnd)
+                        .on("touchcancel" + eventNamespace, cancelTouch);
+                // Resizing the window, or zooming, can change the room for the board and the pixel ratio.
+                $(window).on("resize" + eventNamespace, drawBoardPrivate);
+                if (darkSchemeQuery && darkSchemeQuery.addListener) {
+                    darkSchemeQuery.addListener(handleSchemeChange);
+                }
+            }
+            
+            function handleSchemeChange() {
+                if (themeName === null) {
+                    applyTheme();
+                    drawBoardPrivate();
+                }
+            }
+            
+            function handleVisibilityChange() {
+                if (document.hidden) {
+                    setPaused(true);
+                }
             }
             
             function init() {
+                if (themeName !== null && !registeredThemes.hasOwnProperty(themeName)) {
+                    themeName = null;
+                }
+                applyTheme();
                 initGui();
                 drawBoardPrivate();
             }
@@ -687,13 +3322,592 @@ var SUDOKU = (function($) {
         }
         
         this.runInCanvas = function(drawingCanvas, clientSettings) {
-            initBoard();
+            initBoard(puzzle !== undefined ? findPuzzle(puzzle) : null);
             runner = new CanvasRunner(drawingCanvas, clientSettings);
         };
         
+        /**
+         * Stops handling the input and other events of the page, e.g. before the canvas is
+         * removed. The game can't be played any more afterwards.
+         */
+        this.destroy = function() {
+            if (runner) {
+                runner.destroy();
+            }
+        };
+        
         this.restart = function() {
+            // Playing the puzzle again is a new game, which leaves the one played so far.
+            leaveGame();
+            SUDOKU.SavedGames.remove(gameId);
+            gameId = createGameId();
+            played = false;
             board.restart();
+            setActiveCell(null);
+            // The new game has its own time, hints and mistakes.
+            elapsedBeforeStart = 0;
+            startTime = new Date().getTime();
+            finishTime = null;
+            paused = false;
+            hasWon = false;
+            revealedAll = false;
+            result = null;
+            conflicts = [];
+            hint = null;
+            hintsUsed = 0;
+            hintEliminations = [];
+            mistakes = 0;
+            incorrectCells = [];
+            autosave();
+            runner.drawBoard();
+            events.trigger("restarted", {});
+        };
+        
+        /**
+         * Adds a handler for an event. The events are:
+         * <ul>
+         * <li>cellChanged, unitCompleted and conflictsChanged: as triggered by Board.on(), for the
+         *     board being played.</li>
+         * <li>gameStarted: the first move of a new game was made, including a game started by
+         *     restarting the puzzle. A game that is left before a move is made isn't counted.
+         *     The data has the property id, the id of the game.</li>
+         * <li>gameAbandoned: the game was left unfinished for another one, or its solution was
+         *     revealed. The data has the property id.</li>
+         * <li>gameResumed: a saved game was resumed. The data has the property id.</li>
+         * <li>won: the game was won. The data is the result, as returned by getResult().</li>
+         * <li>restarted: the game was restarted.</li>
+         * <li>hintUsed: a hint was given. The data has the property hintsUsed, the number of hints
+         *     given in the game.</li>
+         * <li>mistakeMade: a value was entered that doesn't match the solution. The data has the
+         *     property mistakes, the number of mistakes made in the game.</li>
+         * <li>activeCellChanged: another cell was selected, or the selection was removed. The data
+         *     has the properties cell and previous, which are null if no cell is selected.</li>
+         * <li>themeChanged: the colours of the board changed, because another theme was chosen or
+         *     the colour scheme of the system changed. The data has the properties theme (the name
+         *     of the theme) and colors (its colours, see SUDOKU.registerTheme()).</li>
+         * </ul>
+         * 
+         * @param {string} event The name of the event.
+         * @param {function} handler The function to call with the event data.
+         */
+        this.on = function(event, handler) {
+            events.on(event, handler);
+        };
+        
+        /**
+         * Removes a handler added with on().
+         * 
+         * @param {string} event The name of the event.
+         * @param {function} handler Optional; the handler to remove. All handlers for the event are
+         *                           removed if not given.
+         */
+        this.off = function(event, handler) {
+            events.off(event, handler);
+        };
+        
+        /**
+         * Resumes a game saved in SUDOKU.SavedGames. Games are saved automatically after each change,
+         * until they are won.
+         * 
+         * A saved game that can't be read any more, e.g. one saved by an older version, is
+         * removed and a new game is started instead.
+         * 
+         * @param {string} id The id of the saved game.
+         * @return {bool} True if the game was resumed, otherwise false.
+         */
+        this.resumeGame = function(id) {
+            var game = SUDOKU.SavedGames.load(id);
+            var savedBoard;
+            if (!game) {
+                return false;
+            }
+            
+            try {
+                savedBoard = new Board(game.board.boardDef, game.board);
+                savedBoard.setState(game.board);
+            } catch (e) {
+                // Saves come from local storage, so anything can be wrong with them.
+                SUDOKU.SavedGames.remove(id);
+                leaveGame();
+                initBoard(null);
+                runner.drawBoard();
+                return false;
+            }
+            leaveGame();
+            difficulty = game.difficulty || undefined;
+            startGame(savedBoard, game.id, game.elapsedTime, game.hintsUsed, game.mistakes || 0);
+            played = true;
+            events.trigger("gameResumed", { id: gameId });
+            runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Pauses or continues the game. The clock stops and the board is hidden while paused.
+         * The game is also paused automatically when the page is hidden.
+         * 
+         * @param {bool} pause Whether the game should be paused.
+         */
+        this.setPaused = function(pause) {
+            setPaused(pause);
+        };
+        
+        /**
+         * Checks whether the game is paused.
+         * 
+         * @return {bool} True if the game is paused, otherwise false.
+         */
+        this.isPaused = function() {
+            return paused;
+        };
+        
+        /**
+         * Checks whether the current game is won, i.e. the board is solved.
+         * 
+         * @return {bool} True if the game is won, otherwise false.
+         */
+        this.hasWon = function() {
+            return hasWon;
+        };
+        
+        /**
+         * Returns the result of the current game once it is won.
+         * 
+         * @return {object} An object with the properties time (in milliseconds), size (of the
+         *                  board), difficulty (the graded difficulty of the puzzle), category (what
+         *                  best times are kept for, e.g. "hard", "6x6 easy" or "killer medium"),
+         *                  hintsUsed, mistakes, revealed (whether the player gave up and revealed
+         *                  the solution) and bestTimes (as returned by SUDOKU.BestTimes.record(), or
+         *                  null if the solution was revealed). Null if the game is not won.
+         */
+        this.getResult = function() {
+            return result;
+        };
+        
+        /**
+         * Returns the id the current game is saved with.
+         * 
+         * @return {string} The id of the game.
+         */
+        this.getGameId = function() {
+            return gameId;
+        };
+        
+        /**
+         * Returns the time spent on the current game, including the time before it was resumed.
+         * The time stops when the game is won.
+         * 
+         * @return {number} The elapsed time in milliseconds.
+         */
+        this.getElapsedTime = function() {
+            return getElapsedTime();
+        };
+        
+        /**
+         * Gives a hint for the next logical deduction in the current position. Asking again for
+         * the same position gives away more: the first hint points to a region, the second names
+         * the technique and the third explains the deduction and applies it to the board.
+         * The relevant cells are highlighted on the board until the player changes it.
+         * 
+         * @return {object} An object with the properties level (1 to 3, or 0 if no hint could be
+         *                  given), message (a short text for the player) and step (the deduction,
+         *                  as returned by SUDOKU.LogicSolver, or null). Null if the game is won.
+         */
+        this.hint = function() {
+            var result = giveHint();
+            runner.drawBoard();
+            return result;
+        };
+        
+        /**
+         * Compares the values the player entered with the solution, and marks the incorrect ones
+         * on the board until the next change.
+         * 
+         * @return {array of Cell} The incorrect cells, ordered by row and column.
+         */
+        this.check = function() {
+            if (hasWon) {
+                return [];
+            }
+            incorrectCells = $.grep(board.getBoard(), function(cell) {
+                return !cell.isFixed && !cell.isRevealed && cell.value !== 0 &&
+                    cell.value !== getSolutionValue(cell);
+            });
+            runner.drawBoard();
+            return incorrectCells.slice();
+        };
+        
+        /**
+         * Reveals the value of the active cell from the solution.
+         * 
+         * @return {bool} True if a cell was revealed, otherwise false.
+         */
+        this.revealCell = function() {
+            if (!activeCell || hasWon) {
+                return false;
+            }
+            board.revealCell(activeCell.row, activeCell.column, getSolutionValue(activeCell));
+            setActiveCell(null);
+            updateGameState();
+            runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Reveals the whole solution, for giving up. Only the cells that were empty or incorrect
+         * are marked as revealed.
+         * 
+         * @return {array of Cell} The cells that were revealed.
+         */
+        this.revealAll = function() {
+            var revealed;
+            if (hasWon) {
+                return [];
+            }
+            revealed = board.revealAll(getSolution());
+            revealedAll = true;
+            updateGameState();
+            runner.drawBoard();
+            return revealed;
+        };
+        
+        /**
+         * Returns the number of hints given in the current game.
+         * 
+         * @return {number} The number of hints.
+         */
+        this.getHintsUsed = function() {
+            return hintsUsed;
+        };
+        
+        /**
+         * Returns the number of values entered in the current game that didn't match the solution.
+         * 
+         * @return {number} The number of mistakes.
+         */
+        this.getMistakes = function() {
+            return mistakes;
+        };
+        
+        /**
+         * Undoes the last change to the board. Changes can't be undone once the game is won.
+         * 
+         * @return {bool} True if a change was undone, otherwise false.
+         */
+        this.undo = function() {
+            return undo();
+        };
+        
+        /**
+         * Redoes the last undone change to the board.
+         * 
+         * @return {bool} True if a change was redone, otherwise false.
+         */
+        this.redo = function() {
+            return redo();
+        };
+        
+        /**
+         * Checks whether there is a change to undo.
+         * 
+         * @return {bool} True if undo() would change the board, otherwise false.
+         */
+        this.canUndo = function() {
+            return !hasWon && board.canUndo();
+        };
+        
+        /**
+         * Checks whether there is an undone change to redo.
+         * 
+         * @return {bool} True if redo() would change the board, otherwise false.
+         */
+        this.canRedo = function() {
+            return !hasWon && board.canRedo();
+        };
+        
+        /**
+         * Turns notes mode on or off. In notes mode, numeric input toggles notes (pencil marks)
+         * in the active cell instead of setting its value.
+         * 
+         * @param {bool} enabled Whether notes mode should be on.
+         */
+        this.setNotesMode = function(enabled) {
+            notesMode = enabled;
+            runner.drawBoard();
+        };
+        
+        /**
+         * Turns an assistance tool on or off. The tools are:
+         * "autoCandidates" (fillCandidates() notes all legal candidates),
+         * "autoCleanupNotes" (placing a value removes it from the notes of the cells it sees) and
+         * "fillSingles" (fillNakedSingles() fills all cells with only one legal value).
+         * All tools are on by default.
+         * 
+         * @param {string} tool The name of the tool.
+         * @param {bool} enabled Whether the tool should be available.
+         */
+        this.setAssistance = function(tool, enabled) {
+            assistance[tool] = enabled;
+            if (tool === "autoCleanupNotes") {
+                board.setAutoCleanupNotes(enabled);
+            }
+        };
+        
+        /**
+         * Checks whether an assistance tool is on.
+         * 
+         * @param {string} tool The name of the tool, see setAssistance().
+         * @return {bool} True if the tool is available, otherwise false.
+         */
+        this.getAssistance = function(tool) {
+            return assistance[tool] === true;
+        };
+        
+        /**
+         * Notes all legal candidates in every empty cell. Does nothing if the "autoCandidates" tool
+         * is off or the game is won.
+         * 
+         * @return {bool} True if the candidates were filled, otherwise false.
+         */
+        this.fillCandidates = function() {
+            if (!assistance.autoCandidates || hasWon) {
+                return false;
+            }
+            board.fillCandidates();
+            runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Fills every cell that only has one legal value. Does nothing if the "fillSingles" tool is
+         * off or the game is won.
+         * 
+         * @return {array of Cell} The cells that were filled.
+         */
+        this.fillNakedSingles = function() {
+            var filled;
+            if (!assistance.fillSingles || hasWon) {
+                return [];
+            }
+            filled = board.fillNakedSingles();
+            updateGameState();
+            runner.drawBoard();
+            return filled;
+        };
+        
+        /**
+         * Checks whether notes mode is on.
+         * 
+         * @return {bool} True if numeric input goes to the notes, otherwise false.
+         */
+        this.isNotesMode = function() {
+            return notesMode;
+        };
+        
+        /**
+         * Enters a value in the selected cell, as typing it does: the value itself, or a note in
+         * notes mode. This is for input without a keyboard, such as an on-screen number pad.
+         * 
+         * @param {number} value The value, in the interval [1, size], or 0 to clear the cell, or
+         *                       its notes in notes mode.
+         * @return {bool} True if a cell is selected and the value could be entered, otherwise false.
+         */
+        this.enterValue = function(value) {
+            if (!activeCell || paused || hasWon || !(value >= 0 && value <= board.getSize() && value % 1 === 0)) {
+                return false;
+            }
+            if (notesMode) {
+                handleNoteInput(value);
+            } else {
+                handleNumberInput(value);
+            }
+            runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Starts a new game with a newly picked board.
+         * 
+         * @param {string} newDifficulty Optional; the difficulty of the new board. The current
+         *                               difficulty is kept if not given.
+         * @param {number} newSize Optional; the size of the new board, e.g. 4 for a 4x4 board.
+         *                         The boxes get their default shape (see Board). The current size
+         *                         is kept if not given.
+         * @param {array of string} newConstraints Optional; the names of the constraints the new
+         *                                         board has besides the classic rules (see
+         *                                         SUDOKU.registerConstraint()). The current ones
+         *                                         are kept if not given.
+         * @param {array of object} newGrids Optional; the grids of the new board, e.g.
+         *                                   SUDOKU.Board.SAMURAI, or null for a single grid.
+         *                                   The current ones are kept if not given.
+         * @param {string} newVariant Optional; "killer" for a board with cages, "kropki" for one
+         *                            with dots between cells, "jigsaw" for one with irregular
+         *                            regions instead of boxes, or null for none of these. The
+         *                            current one is kept if not given.
+         * @return {bool} True if the game was started, false if no board of the size can keep
+         *                the constraints, e.g. a 4x4 board with the anti-king rule, or the
+         *                variant can't be played on the grids, as Jigsaw Sudoku on Samurai grids.
+         */
+        this.newGame = function(newDifficulty, newSize, newConstraints, newGrids, newVariant) {
+            var newBoard = null;
+            if (newDifficulty !== undefined) {
+                difficulty = newDifficulty;
+            }
+            if (newSize !== undefined) {
+                size = newSize;
+            }
+            if (newConstraints !== undefined) {
+                constraints = newConstraints;
+            }
+            if (newGrids !== undefined) {
+                grids = newGrids;
+            }
+            if (newVariant !== undefined) {
+                variant = newVariant;
+            }
+            if (size !== 9 || constraints.length || grids || variant) {
+                // There are only classic 9x9 boards to pick from.
+                newBoard = generateBoard();
+                if (!newBoard) {
+                    size = board.getSize();
+                    constraints = board.getConstraints();
+                    grids = board.getGrids().length > 1 ? board.getGrids() : null;
+                    variant = getVariant(board);
+                    return false;
+                }
+            }
+            leaveGame();
+            initBoard(newBoard);
+            runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Starts a new game with a specific puzzle. With a board code, the game continues from
+         * the position the code was made from.
+         * 
+         * @param {number|string} newPuzzle The puzzle id (see SUDOKU.getPuzzleById()), a board
+         *                                  definition string or a board code (see
+         *                                  Board.getCode()).
+         * @return {bool} True if the game was started, false if it is not a valid puzzle or it
+         *              doesn't have exactly one solution.
+         */
+        this.loadPuzzle = function(newPuzzle) {
+            var newBoard = findPuzzle(newPuzzle);
+            if (!newBoard) {
+                return false;
+            }
+            leaveGame();
+            initBoard(newBoard);
             runner.drawBoard();
+            return true;
+        };
+        
+        /**
+         * Returns the puzzle being played.
+         * 
+         * @return {string} The definition of the puzzle, as returned by Board.getDefinition().
+         */
+        this.getPuzzle = function() {
+            return board.getDefinition();
+        };
+        
+        /**
+         * Returns a code for the current position, including the player's entries and notes,
+         * which can be shared and loaded with loadPuzzle().
+         * 
+         * @return {string} The board code.
+         */
+        this.getCode = function() {
+            return board.getCode();
+        };
+        
+        /**
+         * Returns the current position in a text format.
+         * 
+         * @param {string} format Either "sdk" for the SadMan .sdk format, or "line" for a board
+         *                        definition string with the player's entries.
+         * @return {string} The position as text.
+         */
+        this.exportPosition = function(format) {
+            return format === "sdk" ? board.toSdk(true) : board.getBoardDef(true);
+        };
+        
+        /**
+         * Returns the id of the puzzle being played.
+         * 
+         * @return {number} The puzzle id, or null if the puzzle was loaded from a board definition
+         *                  that isn't one of SUDOKU.sudokuBoards.
+         */
+        this.getPuzzleId = function() {
+            return SUDOKU.getPuzzleId(board.getDefinition());
+        };
+        
+        /**
+         * Returns the size of the board being played.
+         * 
+         * @return {number} The number of rows and columns, e.g. 9 for a 9x9 board.
+         */
+        this.getSize = function() {
+            return board.getSize();
+        };
+        
+        /**
+         * Returns the constraints of the board being played besides the classic rules.
+         * 
+         * @return {array of string} The names of the constraints.
+         */
+        this.getConstraints = function() {
+            return board.getConstraints();
+        };
+        
+        /**
+         * Returns the grids of the board being played, e.g. five for Samurai Sudoku.
+         * 
+         * @return {array of object} The grids, as returned by Board.getGrids().
+         */
+        this.getGrids = function() {
+            return board.getGrids();
+        };
+        
+        /**
+         * Returns the variant of the board being played, see newGame().
+         * 
+         * @return {string} The variant, or null for a board without one.
+         */
+        this.getVariant = function() {
+            return variant;
+        };
+        
+        /**
+         * Returns the difficulty that boards are picked with.
+         * 
+         * @return {string} The difficulty, or undefined if any board is picked.
+         */
+        this.getDifficulty = function() {
+            return difficulty;
+        };
+        
+        /**
+         * Changes the colours the board is drawn in. The board is redrawn at once.
+         * 
+         * @param {string} name The name of the theme: "light", "dark", "highContrast", "sepia" or
+         *                      one added with SUDOKU.registerTheme(). If null, the board follows
+         *                      the light or dark colour scheme of the system, which is the default.
+         * @return {bool} True if the theme was changed, false if there is no theme with the name.
+         */
+        this.setTheme = function(name) {
+            return runner.setTheme(name);
+        };
+        
+        /**
+         * Returns the theme the board is drawn with.
+         * 
+         * @return {string} The name of the theme. If none was chosen, this is "light" or "dark",
+         *                  following the colour scheme of the system.
+         */
+        this.getTheme = function() {
+            return runner.getTheme();
         };
 	}
 	
@@ -704,7 +3918,12 @@ var SUDOKU = (function($) {
 	return {
 		Cell: Cell,
 		Board: Board,
-		SudokuRunner: SudokuRunner
+		SudokuRunner: SudokuRunner,
+		formatValue: formatValue,
+		parseValue: parseValue,
+		registerConstraint: registerConstraint,
+		registerTheme: registerTheme,
+		isEdgeSatisfied: isEdgeSatisfied
 	};
 }(jQuery));
 
@@ -1714,4 +4933,41 @@ var SUDOKU = (function($) {
         "010204030028906450900000008800309004000010000400508009600000003085603740030705080",
         "050030010000401000200605008510803062000000000640107053800706001000304000030090070"
     ];
+    
+    var puzzleIds = null;
+    
+    /**
+     * Returns a board by its puzzle id. Puzzle ids are stable, so they can be shared and
+     * bookmarked: the board with id n is always sudokuBoards[n - 1].
+     * 
+     * @param {number|string} id The puzzle id.
+     * @return {string} The board definition string, or null if there is no puzzle with that id.
+     */
+    module.getPuzzleById = function(id) {
+        var idx = Number(id) - 1;
+        if (idx % 1 !== 0 || idx < 0 || idx >= module.sudokuBoards.length) {
+            return null;
+        }
+        return module.sudokuBoards[idx];
+    };
+    
+    /**
+     * Returns the puzzle id of a board.
+     * 
+     * @param {string} boardDef The board definition string.
+     * @return {number} The puzzle id, or null if the board is not one of sudokuBoards.
+     */
+    module.getPuzzleId = function(boardDef) {
+        var i;
+        if (!puzzleIds) {
+            puzzleIds = {};
+            for (i = 0; i < module.sudokuBoards.length; i += 1) {
+                // Some boards are listed twice; the first id is used for them.
+                if (!puzzleIds.hasOwnProperty(module.sudokuBoards[i])) {
+                    puzzleIds[module.sudokuBoards[i]] = i + 1;
+                }
+            }
+        }
+        return puzzleIds.hasOwnProperty(boardDef) ? puzzleIds[boardDef] : null;
+    };
 }(SUDOKU));
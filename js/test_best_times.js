@@ -0,0 +1,71 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var BestTimes = SUDOKU.BestTimes;
+	var storageKey = "sudoku.bestTimes";
+	var backup;
+
+	module("Best times tests", {
+		setup: function() {
+			// Keep the times recorded by the page itself.
+			backup = window.localStorage.getItem(storageKey);
+			BestTimes.clear();
+		},
+		teardown: function() {
+			if (backup === null) {
+				window.localStorage.removeItem(storageKey);
+			} else {
+				window.localStorage.setItem(storageKey, backup);
+			}
+		}
+	});
+
+	test("Record best times", function() {
+		strictEqual(BestTimes.getPuzzleBest("a"), null);
+		strictEqual(BestTimes.getDifficultyBest("easy"), null);
+
+		deepEqual(BestTimes.record("a", "easy", 5000), {
+			puzzleBest: 5000,
+			difficultyBest: 5000,
+			isPuzzleBest: true,
+			isDifficultyBest: true
+		});
+		deepEqual(BestTimes.record("a", "easy", 6000), {
+			puzzleBest: 5000,
+			difficultyBest: 5000,
+			isPuzzleBest: false,
+			isDifficultyBest: false
+		});
+		deepEqual(BestTimes.record("b", "easy", 4000), {
+			puzzleBest: 4000,
+			difficultyBest: 4000,
+			isPuzzleBest: true,
+			isDifficultyBest: true
+		});
+		deepEqual(BestTimes.record("c", "easy", 4500), {
+			puzzleBest: 4500,
+			difficultyBest: 4000,
+			isPuzzleBest: true,
+			isDifficultyBest: false
+		});
+
+		strictEqual(BestTimes.getPuzzleBest("a"), 5000);
+		strictEqual(BestTimes.getDifficultyBest("easy"), 4000);
+		strictEqual(BestTimes.getDifficultyBest("hard"), null);
+
+		BestTimes.clear();
+		strictEqual(BestTimes.getPuzzleBest("a"), null);
+		strictEqual(BestTimes.getDifficultyBest("easy"), null);
+	});
+
+	test("Format times", function() {
+		strictEqual(BestTimes.formatTime(0), "0:00");
+		strictEqual(BestTimes.formatTime(5999), "0:05");
+		strictEqual(BestTimes.formatTime(245000), "4:05");
+		strictEqual(BestTimes.formatTime(3729000), "1:02:09");
+	});
+}(jQuery));
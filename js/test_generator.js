@@ -0,0 +1,154 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, notDeepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var Generator = SUDOKU.Generator;
+
+	// A small seeded generator, so that the tests always see the same puzzles.
+	function seededRandom(seed) {
+		return function() {
+			seed = (seed * 16807) % 2147483647;
+			return (seed - 1) / 2147483646;
+		};
+	}
+
+	function countClues(boardDef) {
+		return boardDef.replace(/0/g, "").length;
+	}
+
+	module("Generator tests");
+
+	test("Unique solution", function() {
+		var boardDef = new Generator({ random: seededRandom(1) }).generate();
+		strictEqual(boardDef.length, 81);
+		strictEqual(new SUDOKU.Solver(boardDef).getUniqueness(), SUDOKU.Solver.UNIQUE_SOLUTION);
+		strictEqual(new SUDOKU.Board(boardDef).hasWon(), false);
+	});
+
+	test("Clue range", function() {
+		var boardDef = new Generator({ minClues: 36, maxClues: 40, random: seededRandom(2) }).generate();
+		var clues = countClues(boardDef);
+		strictEqual(clues >= 36 && clues <= 40, true);
+
+		strictEqual(new Generator({ maxClues: 16, maxAttempts: 2, random: seededRandom(2) }).generate(), null);
+	});
+
+	test("Symmetry", function() {
+		var rotational = new Generator({ symmetry: Generator.ROTATIONAL, random: seededRandom(3) }).generate();
+		var mirror = new Generator({ symmetry: Generator.MIRROR, random: seededRandom(3) }).generate();
+		var i, row, col;
+		for (i = 0; i < 81; i += 1) {
+			row = Math.floor(i / 9);
+			col = i % 9;
+			strictEqual(rotational[i] === "0", rotational[80 - i] === "0");
+			strictEqual(mirror[i] === "0", mirror[row * 9 + 8 - col] === "0");
+		}
+	});
+
+	test("Board sizes", function() {
+		$.each([4, 6], function(i, size) {
+			var boardDef = new Generator({ size: size, random: seededRandom(5) }).generate();
+			strictEqual(boardDef.length, size * size);
+			strictEqual(new SUDOKU.Solver(new SUDOKU.Board(boardDef)).countSolutions(), 1);
+		});
+	});
+
+	test("Constraints", function() {
+		var boardDef = new Generator({ constraints: ["diagonal"], random: seededRandom(6) }).generate();
+		var board = new SUDOKU.Board(boardDef, { constraints: ["diagonal"] });
+		var solution = new SUDOKU.Solver(board).solve();
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+		strictEqual(new SUDOKU.Board(solution + ";rules=diagonal").hasWon(), true);
+		strictEqual(new SUDOKU.Solver(boardDef).countSolutions(2), 2);
+	});
+
+	test("Jigsaw regions", function() {
+		var regions = "111122333111222333112222333" + "444555666444555666444555666" + "777888999777888999777888999";
+		var boardDef = new Generator({ regions: regions, random: seededRandom(6) }).generate();
+		var board = new SUDOKU.Board(boardDef, { regions: regions });
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+		strictEqual(new SUDOKU.Board(new SUDOKU.Solver(board).solve() + ";regions=" + regions).hasWon(), true);
+	});
+
+	test("Random Jigsaw regions", function() {
+		var boardDef = new Generator({ jigsaw: true, random: seededRandom(9) }).generate();
+		var board = new SUDOKU.Board(boardDef);
+		var boxes = new SUDOKU.Board(boardDef.substr(0, 81)).getUnits("box");
+		var solution = new SUDOKU.Solver(board).solve();
+		strictEqual(board.getRegions() !== null, true);
+		notDeepEqual(board.getUnits("box"), boxes);
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+		strictEqual(new SUDOKU.Board(solution + boardDef.substr(81)).hasWon(), true);
+		// Larger boards are quick too.
+		boardDef = new Generator({ jigsaw: true, size: 12, random: seededRandom(9) }).generate();
+		strictEqual(new SUDOKU.Board(boardDef).getSize(), 12);
+	});
+
+	test("Samurai", function() {
+		var boardDef = new Generator({ grids: SUDOKU.Board.SAMURAI, random: seededRandom(6) }).generate();
+		var board = new SUDOKU.Board(boardDef, { grids: SUDOKU.Board.SAMURAI });
+		strictEqual(boardDef.length, 21 * 21);
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+	});
+
+	test("Killer cages", function() {
+		var boardDef = new Generator({ cages: true, random: seededRandom(7) }).generate();
+		var board = new SUDOKU.Board(boardDef);
+		var solution = new SUDOKU.Solver(board).solve();
+		var covered = [];
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+		// With the cages, far fewer givens are needed.
+		strictEqual(countClues(boardDef.split(";")[0]) < 17, true);
+		$.each(board.getCages(), function(i, cage) {
+			var sum = 0;
+			$.each(cage.cells, function(j, idx) {
+				sum += Number(solution.charAt(idx));
+			});
+			strictEqual(cage.cells.length <= 4, true);
+			strictEqual(sum, cage.sum);
+			covered = covered.concat(cage.cells);
+		});
+		strictEqual(covered.length, 81);
+		strictEqual(new SUDOKU.Board(solution + boardDef.substr(81)).hasWon(), true);
+	});
+
+	test("Kropki dots", function() {
+		var boardDef = new Generator({ dots: true, random: seededRandom(8) }).generate();
+		var board = new SUDOKU.Board(boardDef);
+		var solution = new SUDOKU.Solver(board).solve();
+		var dots = {};
+		var idx, a, b;
+		strictEqual(new SUDOKU.Solver(board).countSolutions(), 1);
+		$.each(board.getEdges(), function(i, edge) {
+			dots[edge.cells.join(",")] = edge.type;
+		});
+		// Every pair of neighbours with consecutive values or one double the other has a dot.
+		for (idx = 0; idx < 81; idx += 1) {
+			$.each([idx % 9 < 8 ? idx + 1 : -1, idx + 9 < 81 ? idx + 9 : -1], function(i, other) {
+				if (other === -1) {
+					return;
+				}
+				a = Number(solution.charAt(idx));
+				b = Number(solution.charAt(other));
+				if (a === 2 * b || b === 2 * a) {
+					strictEqual(dots[idx + "," + other], "b");
+				} else if (Math.abs(a - b) === 1) {
+					strictEqual(dots[idx + "," + other], "w");
+				} else {
+					strictEqual(dots[idx + "," + other], undefined);
+				}
+			});
+		}
+	});
+
+	test("Target difficulty", function() {
+		$.each([SUDOKU.Grader.EASY, SUDOKU.Grader.HARD], function(i, difficulty) {
+			var boardDef = new Generator({ difficulty: difficulty, random: seededRandom(4) }).generate();
+			strictEqual(SUDOKU.Grader.grade(boardDef).difficulty, difficulty);
+			strictEqual(new SUDOKU.Solver(boardDef).countSolutions(), 1);
+		});
+	});
+}(jQuery));
@@ -0,0 +1,48 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var Grader = SUDOKU.Grader;
+
+	module("Grader tests");
+
+	test("Grade by hardest technique", function() {
+		deepEqual(Grader.grade(SUDOKU.sudokuBoards[0]), {
+			difficulty: Grader.EASY,
+			score: 54,
+			hardestTechnique: SUDOKU.LogicSolver.HIDDEN_SINGLE,
+			steps: 54,
+			solved: true
+		});
+		strictEqual(Grader.grade(SUDOKU.sudokuBoards[47]).difficulty, Grader.MEDIUM);
+		strictEqual(Grader.grade(SUDOKU.sudokuBoards[25]).difficulty, Grader.HARD);
+		strictEqual(Grader.grade(SUDOKU.sudokuBoards[173]).difficulty, Grader.EXPERT);
+		strictEqual(Grader.grade(SUDOKU.sudokuBoards[173]).hardestTechnique, SUDOKU.LogicSolver.X_WING);
+	});
+
+	test("Grade by number of steps", function() {
+		// Only needs locked candidates, but needs them often.
+		var grade = Grader.grade(SUDOKU.sudokuBoards[153]);
+		strictEqual(grade.hardestTechnique, SUDOKU.LogicSolver.LOCKED_CANDIDATES);
+		strictEqual(grade.difficulty, Grader.HARD);
+	});
+
+	test("Puzzle the logical solver cannot finish", function() {
+		var grade = Grader.grade(SUDOKU.sudokuBoards[2]);
+		strictEqual(grade.solved, false);
+		strictEqual(grade.hardestTechnique, null);
+		strictEqual(grade.difficulty, Grader.EXPERT);
+	});
+
+	test("Pick a board by difficulty", function() {
+		$.each(Grader.difficulties, function(i, difficulty) {
+			var idx = Grader.pickRandomBoard(difficulty);
+			strictEqual(idx >= 0 && idx < SUDOKU.sudokuBoards.length, true);
+			strictEqual(Grader.gradeBoardAt(idx).difficulty, difficulty);
+		});
+		strictEqual(Grader.pickRandomBoard("impossible"), -1);
+	});
+}(jQuery));
@@ -0,0 +1,175 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual, notEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var boardDef = "000091000" +
+	               "000700600" +
+	               "001003040" +
+	               "002050406" +
+	               "090006007" +
+	               "078400010" +
+	               "080309100" +
+	               "406810000" +
+	               "030000000";
+
+	var solution = "847691352" +
+	               "253748691" +
+	               "961523748" +
+	               "312957486" +
+	               "594186237" +
+	               "678432519" +
+	               "785369124" +
+	               "426815973" +
+	               "139274865";
+
+	function usesTechnique(result, technique) {
+		return $.grep(result.steps, function(step) {
+			return step.technique === technique;
+		}).length > 0;
+	}
+
+	module("Logic solver tests");
+
+	test("Solve with singles", function() {
+		var result = new SUDOKU.LogicSolver(boardDef).solve();
+		strictEqual(result.solved, true);
+		strictEqual(result.values, solution);
+		$.each(result.steps, function(i, step) {
+			strictEqual($.inArray(step.technique, SUDOKU.LogicSolver.techniques) !== -1, true);
+		});
+	});
+
+	test("Next step", function() {
+		var solver = new SUDOKU.LogicSolver(boardDef);
+		var expected = {
+			technique: SUDOKU.LogicSolver.HIDDEN_SINGLE,
+			unit: { type: "box", number: 3 },
+			cells: [{ row: 2, column: 9 }],
+			placements: [{ row: 2, column: 9, value: 1 }],
+			eliminations: [],
+			description: "Hidden single: 1 can only go in r2c9 within box 3"
+		};
+		deepEqual(solver.getNextStep(), expected);
+		// Looking at the next step does not apply it.
+		deepEqual(solver.step(), expected);
+		deepEqual(solver.getCandidates(2, 9), []);
+	});
+
+	test("Candidates", function() {
+		// Filling in the rest of the first column leaves 8 as the only candidate for r1c1.
+		var board = new SUDOKU.Board(boardDef);
+		var solver;
+		$.each([[2, 1, 2], [3, 1, 9], [4, 1, 3], [5, 1, 5], [6, 1, 6], [7, 1, 7]], function(i, entry) {
+			board.setCellValue(entry[0], entry[1], entry[2]);
+		});
+		solver = new SUDOKU.LogicSolver(board);
+		deepEqual(solver.getCandidates(1, 1), [8]);
+	});
+
+	test("Candidates already ruled out", function() {
+		var step = new SUDOKU.LogicSolver(boardDef).getNextStep();
+		var solver = new SUDOKU.LogicSolver(boardDef, [{ row: 1, column: 1, value: 8 }, { row: 1, column: 1, value: 2 }]);
+		deepEqual(solver.getCandidates(1, 1), [3, 5, 6, 7]);
+		// Ruling out the value of a single finds another step.
+		solver = new SUDOKU.LogicSolver(boardDef, [{ row: 2, column: 9, value: 1 }]);
+		notEqual(solver.getNextStep().description, step.description);
+	});
+
+	test("Locked candidates and XY-Wing", function() {
+		var result = new SUDOKU.LogicSolver("008301290005007040000000000500106030204000708070402006000000000090700300027904500").solve();
+		strictEqual(result.solved, true);
+		strictEqual(usesTechnique(result, SUDOKU.LogicSolver.XY_WING), true);
+	});
+
+	test("X-Wing", function() {
+		var result = new SUDOKU.LogicSolver("600000070000508010000040908010000802020401050507000030406020000090103000080000005").solve();
+		strictEqual(result.solved, true);
+		strictEqual(usesTechnique(result, SUDOKU.LogicSolver.X_WING), true);
+		deepEqual($.grep(result.steps, function(step) {
+			return step.technique === SUDOKU.LogicSolver.X_WING;
+		})[0].eliminations, [{ row: 3, column: 4, value: 6 }, { row: 4, column: 4, value: 6 }]);
+	});
+
+	test("Swordfish", function() {
+		var result = new SUDOKU.LogicSolver("000080003078900640040000010012700000300000008080105030000004080000601720100090000").solve();
+		strictEqual(result.solved, true);
+		strictEqual(usesTechnique(result, SUDOKU.LogicSolver.SWORDFISH), true);
+	});
+
+	test("Stuck", function() {
+		var def = "090057300070100900000009048005030407700001002009000080080605000903000054010020000";
+		var solver = new SUDOKU.LogicSolver(def);
+		var result = solver.solve();
+		strictEqual(result.solved, false);
+		strictEqual(result.values.indexOf("0") !== -1, true);
+		strictEqual(solver.getNextStep(), null);
+	});
+
+	test("Cage combination", function() {
+		var solver = new SUDOKU.LogicSolver(new Array(82).join("0") + ";cages=4:0,1");
+		var step = solver.getNextStep();
+		strictEqual(step.technique, SUDOKU.LogicSolver.CAGE_COMBINATION);
+		strictEqual(step.description, "Cage combination: the cage r1c1 and r1c2 adds up to 4, so its empty cells can only have 1 and 3");
+		strictEqual(step.eliminations.length, 14);
+		solver.step();
+		deepEqual(solver.getCandidates(1, 2), [1, 3]);
+	});
+
+	test("Edge marker", function() {
+		var solver = new SUDOKU.LogicSolver(new Array(82).join("0") + ";edges=b:0,1/g:2,3");
+		var step = solver.getNextStep();
+		strictEqual(step.technique, SUDOKU.LogicSolver.EDGE_MARKER);
+		strictEqual(step.description, "Edge marker: the black dot between r1c1 and r1c2 rules out 5, 7 and 9 for r1c1, and 5, 7 and 9 for r1c2");
+		strictEqual(step.eliminations.length, 6);
+		solver.step();
+		deepEqual(solver.getCandidates(1, 2), [1, 2, 3, 4, 6, 8]);
+		solver.step();
+		deepEqual(solver.getCandidates(1, 3), [2, 3, 4, 5, 6, 7, 8, 9]);
+		deepEqual(solver.getCandidates(1, 4), [1, 2, 3, 4, 5, 6, 7, 8]);
+	});
+
+	test("Samurai", function() {
+		// Reading the rows and columns of the wrong grid once gave an X-Wing that ruled out the
+		// solution value of r8c11.
+		var def = "520000003000010053600001060000000080701050076009480000000200000008000290000200500907000001070000000672140000000030000700009060005400000000000080400040520000000000000000000300000003000020800000000000209050000000000000000050000000000000000060307000000000002070000500000009000000000000000000041060003020000000000002800020500004000030000000065238000000070600000701009005000021000500000006000000059700240080902010000000090600007340080000100000035" +
+				";grids=1,1/1,13/7,7/13,1/13,13";
+		var solution = new SUDOKU.Solver(def).solve();
+		var solver = new SUDOKU.LogicSolver(def);
+		var wrong = [], numbers = [];
+		var step;
+
+		function solutionValue(change) {
+			return parseInt(solution.charAt((change.row - 1) * 21 + change.column - 1), 10);
+		}
+
+		while ((step = solver.step())) {
+			$.each(step.eliminations, function(i, change) {
+				if (solutionValue(change) === change.value) {
+					wrong.push(step.description);
+				}
+			});
+			$.each(step.placements, function(i, change) {
+				if (solutionValue(change) !== change.value) {
+					wrong.push(step.description);
+				}
+			});
+			$.each(step.description.match(/(rows?|columns?) \d+( and \d+)?/g) || [], function(i, units) {
+				numbers = numbers.concat($.map(units.match(/\d+/g), Number));
+			});
+		}
+		deepEqual(wrong, []);
+		// Rows and columns are named as on the whole board.
+		strictEqual(numbers.length > 0, true);
+		strictEqual(Math.max.apply(null, numbers) <= 21, true);
+	});
+
+	test("Broken board", function() {
+		// Two nines in the first row.
+		var solver = new SUDOKU.LogicSolver("9" + boardDef.substr(1));
+		strictEqual(solver.getNextStep(), null);
+		strictEqual(solver.solve().solved, false);
+	});
+}(jQuery));
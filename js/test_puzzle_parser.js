@@ -0,0 +1,96 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var PuzzleParser = SUDOKU.PuzzleParser;
+
+	var boardDef = "400000805030000000000700000020000060000080400000010000000603070500200000104000000";
+
+	function parseError(text) {
+		try {
+			PuzzleParser.parse(text);
+		} catch (e) {
+			return e;
+		}
+		return null;
+	}
+
+	module("Puzzle parser tests");
+
+	test("Single line", function() {
+		strictEqual(PuzzleParser.parse(boardDef), boardDef);
+		strictEqual(PuzzleParser.parse(boardDef.replace(/0/g, ".")), boardDef);
+		strictEqual(PuzzleParser.parse(boardDef.replace(/0/g, "_")), boardDef);
+		strictEqual(PuzzleParser.parse("  " + boardDef + "\n"), boardDef);
+	});
+
+	test("Trailing comments", function() {
+		strictEqual(PuzzleParser.parse(boardDef.replace(/0/g, ".") + " # Hard one"), boardDef);
+		strictEqual(PuzzleParser.parse(boardDef + " // from the paper"), boardDef);
+		strictEqual(PuzzleParser.parse(boardDef + "  Arto Inkala, 2010"), boardDef);
+		strictEqual(PuzzleParser.parse("# A puzzle\n" + boardDef), boardDef);
+	});
+
+	test("Grid", function() {
+		var grid = [
+			"4 . . | . . . | 8 . 5",
+			". 3 . | . . . | . . .",
+			". . . | 7 . . | . . .",
+			"------+-------+------",
+			". 2 . | . . . | . 6 .",
+			". . . | . 8 . | 4 . .",
+			". . . | . 1 . | . . .",
+			"------+-------+------",
+			". . . | 6 . 3 | . 7 .",
+			"5 . . | 2 . . | . . .",
+			"1 . 4 | . . . | . . ."
+		].join("\n");
+		strictEqual(PuzzleParser.parse(grid), boardDef);
+		strictEqual(PuzzleParser.parse(grid.replace(/\n/g, "\r\n")), boardDef);
+	});
+
+	test("SadMan formats", function() {
+		var sdk = [
+			"#A Some author",
+			"#D A description",
+			"[Puzzle]",
+			"4.....8.5",
+			".3.......",
+			"...7.....",
+			".2.....6.",
+			"....8.4..",
+			"....1....",
+			"...6.3.7.",
+			"5..2.....",
+			"1.4......",
+			"[State]",
+			"4.....8.5",
+			".3......."
+		].join("\n");
+		var sdm = boardDef + "\n" + boardDef.replace("4", "0") + "\n";
+
+		strictEqual(PuzzleParser.parse(sdk), boardDef);
+		deepEqual(PuzzleParser.parseAll(sdm), [boardDef, boardDef.replace("4", "0")]);
+		strictEqual(PuzzleParser.parse(sdm), boardDef);
+	});
+
+	test("Errors", function() {
+		var error = parseError("4 . . | . x .");
+		strictEqual(error.name, "SudokuParseError");
+		strictEqual(error.line, 1);
+		strictEqual(error.column, 11);
+		strictEqual(error.message, "Line 1, column 11: Unexpected character \"x\"");
+
+		error = parseError("# Too short\n" + boardDef.slice(0, 80) + "\n\n");
+		strictEqual(error.name, "SudokuParseError");
+		strictEqual(error.line, 2);
+		strictEqual(error.column, 81);
+		strictEqual(error.message, "Line 2, column 81: Expected 81 cells but found 80");
+
+		error = parseError("# Nothing\n");
+		strictEqual(error.message, "Line 1, column 1: No puzzle found");
+	});
+}(jQuery));
@@ -0,0 +1,81 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var SavedGames = SUDOKU.SavedGames;
+	var storageKey = "sudoku.savedGames";
+	var backup;
+
+	module("Saved games tests", {
+		setup: function() {
+			// Keep the games saved by the page itself.
+			backup = window.localStorage.getItem(storageKey);
+			SavedGames.clear();
+		},
+		teardown: function() {
+			if (backup === null) {
+				window.localStorage.removeItem(storageKey);
+			} else {
+				window.localStorage.setItem(storageKey, backup);
+			}
+		}
+	});
+
+	test("Save and load", function() {
+		var game;
+		strictEqual(SavedGames.load("a"), null);
+		strictEqual(SavedGames.save({ id: "a", elapsedTime: 1000 }), true);
+
+		game = SavedGames.load("a");
+		strictEqual(game.id, "a");
+		strictEqual(game.elapsedTime, 1000);
+		strictEqual(typeof game.savedAt, "number");
+
+		SavedGames.save({ id: "a", elapsedTime: 2000 });
+		strictEqual(SavedGames.load("a").elapsedTime, 2000);
+		strictEqual(SavedGames.list().length, 1);
+	});
+
+	test("Several games", function() {
+		var i;
+		for (i = 0; i < 12; i += 1) {
+			SavedGames.save({ id: "game" + i });
+		}
+		// Only the ten most recent games are kept, even when they were saved in the same
+		// millisecond.
+		strictEqual(SavedGames.list().length, 10);
+		strictEqual(SavedGames.list()[0].id, "game11");
+		strictEqual(SavedGames.list()[9].id, "game2");
+		strictEqual(SavedGames.load("game1"), null);
+		// Saving a game again makes it the most recent.
+		SavedGames.save({ id: "game5" });
+		strictEqual(SavedGames.list()[0].id, "game5");
+
+		SavedGames.remove("game11");
+		strictEqual(SavedGames.load("game11"), null);
+		strictEqual(SavedGames.list().length, 9);
+	});
+
+	test("Board state round trip", function() {
+		var board = new SUDOKU.Board(SUDOKU.sudokuBoards[0]);
+		var restored = new SUDOKU.Board(SUDOKU.sudokuBoards[0]);
+
+		board.setCellValue(1, 1, 8);
+		board.toggleCellNote(1, 2, 4);
+		board.revealCell(1, 3, 7);
+		board.undo();
+		SavedGames.save({ id: "a", board: board.getState() });
+
+		restored.setState(SavedGames.load("a").board);
+		deepEqual(restored.getBoard(), board.getBoard());
+		strictEqual(restored.canRedo(), true);
+		restored.redo();
+		strictEqual(restored.getCell(1, 3).isRevealed, true);
+		restored.undo();
+		restored.undo();
+		deepEqual(restored.getCell(1, 2).notes, []);
+	});
+}(jQuery));
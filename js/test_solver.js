@@ -0,0 +1,164 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var boardDef = "000091000" +
+	               "000700600" +
+	               "001003040" +
+	               "002050406" +
+	               "090006007" +
+	               "078400010" +
+	               "080309100" +
+	               "406810000" +
+	               "030000000";
+
+	var solution = "847691352" +
+	               "253748691" +
+	               "961523748" +
+	               "312957486" +
+	               "594186237" +
+	               "678432519" +
+	               "785369124" +
+	               "426815973" +
+	               "139274865";
+
+	module("Solver tests");
+
+	test("Solve from a board definition", function() {
+		var solver = new SUDOKU.Solver(boardDef);
+		strictEqual(solver.solve(), solution);
+		strictEqual(solver.countSolutions(), 1);
+		strictEqual(solver.getUniqueness(), SUDOKU.Solver.UNIQUE_SOLUTION);
+	});
+
+	test("Solve from a board", function() {
+		var board = new SUDOKU.Board(boardDef);
+		board.setCellValue(1, 1, 8);
+		strictEqual(new SUDOKU.Solver(board).solve(), solution);
+
+		// A wrong but non-conflicting entry makes the board unsolvable.
+		board.setCellValue(1, 1, 2);
+		strictEqual(new SUDOKU.Solver(board).solve(), null);
+	});
+
+	test("Unsolvable board", function() {
+		// Two nines in the first row.
+		var solver = new SUDOKU.Solver("9" + boardDef.substr(1));
+		strictEqual(solver.solve(), null);
+		strictEqual(solver.countSolutions(), 0);
+		strictEqual(solver.getUniqueness(), SUDOKU.Solver.NO_SOLUTION);
+	});
+
+	test("Constraints", function() {
+		// The only classic solution has repeated values on the diagonals.
+		strictEqual(new SUDOKU.Solver(boardDef + ";rules=diagonal").countSolutions(), 0);
+		strictEqual(new SUDOKU.Solver(boardDef + ";rules=antiKnight").countSolutions(), 0);
+		strictEqual(new SUDOKU.Solver("000000000" + boardDef.substr(9) + ";rules=diagonal").countSolutions(), 0);
+	});
+
+	test("Killer cages", function() {
+		var cages = "17:18,27,36/13:48,57,58/12:39,40,49/9:61,70/16:2,3,11/14:7,16/13:45,46/12:38,47/" +
+		            "7:63,64,72/16:35,43,44/25:65,66,74,75/3:73/11:79,80/13:41,42,51/11:50,59/" +
+		            "20:54,55,56/19:0,1,9,10/18:19,28,29,37/17:6,14,15/23:67,68,69,78/12:25,34/" +
+		            "16:31,32,33/10:4,5/11:20,21,22,23/13:53,62/11:12,13/3:8,17/3:71/7:24/1:60/" +
+		            "11:76,77/9:30/8:26/1:52";
+		var empty = new Array(82).join("0");
+		strictEqual(new SUDOKU.Solver(empty + ";cages=" + cages).solve(), solution);
+		strictEqual(new SUDOKU.Solver(empty + ";cages=" + cages).countSolutions(), 1);
+		// In the solution, the first cage (r3c1 to r5c1) adds up to 17.
+		strictEqual(new SUDOKU.Solver(boardDef + ";cages=16" + cages.substr(2)).countSolutions(), 0);
+	});
+
+	test("Edge markers", function() {
+		var empty = new Array(82).join("0");
+		var edges = [];
+		var i, result;
+
+		strictEqual(new SUDOKU.Solver(boardDef + ";edges=b:0,1/w:2,3/g:4,5").solve(), solution);
+		// In the solution, the first two cells are 8 and 4.
+		strictEqual(new SUDOKU.Solver(boardDef + ";edges=w:0,1").countSolutions(), 0);
+		// The givens 9 and 1 break the sign.
+		strictEqual(new SUDOKU.Solver(boardDef + ";edges=g:5,4").solve(), null);
+
+		// Every white and black dot of the solution.
+		for (i = 0; i < 81; i += 1) {
+			$.each([i % 9 < 8 ? i + 1 : -1, i < 72 ? i + 9 : -1], function(j, neighbour) {
+				var first = Number(solution.charAt(i)), second = Number(solution.charAt(neighbour));
+				if (neighbour === -1) {
+					return;
+				}
+				if (Math.abs(first - second) === 1) {
+					edges.push("w:" + i + "," + neighbour);
+				} else if (first === 2 * second || second === 2 * first) {
+					edges.push("b:" + i + "," + neighbour);
+				}
+			});
+		}
+		result = new SUDOKU.Solver(empty + ";edges=" + edges.join("/")).solve();
+		strictEqual(new SUDOKU.Board(result + ";edges=" + edges.join("/")).hasWon(), true);
+	});
+
+	test("Jigsaw regions", function() {
+		var regions = "111122333111222333112222333" + "444555666444555666444555666" + "777888999777888999777888999";
+		var empty = new Array(82).join("0");
+		var result = new SUDOKU.Solver(empty + ";regions=" + regions).solve();
+		strictEqual(new SUDOKU.Board(result + ";regions=" + regions).hasWon(), true);
+		// The classic solution breaks the first two regions.
+		strictEqual(new SUDOKU.Solver(boardDef + ";regions=" + regions).countSolutions(), 0);
+	});
+
+	test("Anti-knight solving time", function() {
+		var emptyDef = new Array(82).join("0") + ";rules=antiKnight";
+		var start = new Date().getTime();
+		var result = new SUDOKU.Solver(emptyDef).solve();
+		strictEqual(new SUDOKU.Board(result, { constraints: ["antiKnight"] }).hasWon(), true);
+		// Branching on the places of values made this take most of a minute.
+		strictEqual(new Date().getTime() - start < 2000, true);
+	});
+
+	test("Random order", function() {
+		var regions = "111122333111222333112222333" + "444555666444555666444555666" + "777888999777888999777888999";
+		var emptyDef = new Array(82).join("0") + ";regions=" + regions;
+		var results = {};
+
+		function seededRandom(seed) {
+			return function() {
+				seed = (seed * 16807) % 2147483647;
+				return (seed - 1) / 2147483646;
+			};
+		}
+
+		$.each([1, 2, 3, 4], function(i, seed) {
+			var result = new SUDOKU.Solver(emptyDef, { random: seededRandom(seed) }).solve();
+			strictEqual(new SUDOKU.Board(result + ";regions=" + regions).hasWon(), true);
+			results[result] = true;
+		});
+		strictEqual($.map(results, function(value, result) { return result; }).length > 1, true);
+	});
+
+	test("Samurai", function() {
+		var empty = new Array(21 * 21 + 1).join("0") + ";grids=1,1/1,13/7,7/13,1/13,13";
+		var result = new SUDOKU.Solver(empty).solve();
+		strictEqual(new SUDOKU.Board(result, { grids: SUDOKU.Board.SAMURAI }).hasWon(), true);
+		// Nothing is filled in between the grids.
+		strictEqual(result.substr(9, 3), "000");
+	});
+
+	test("Board with several solutions", function() {
+		// Without the givens of the first row the puzzle is no longer unique.
+		var solver = new SUDOKU.Solver("000000000" + boardDef.substr(9));
+		strictEqual(solver.countSolutions(5) > 1, true);
+		strictEqual(solver.countSolutions(2), 2);
+		strictEqual(solver.getUniqueness(), SUDOKU.Solver.MULTIPLE_SOLUTIONS);
+		strictEqual(new SUDOKU.Board(solver.solve()).hasWon(), true);
+	});
+
+	test("Solve an empty board", function() {
+		var emptyDef = new Array(82).join("0");
+		var result = new SUDOKU.Solver(emptyDef).solve();
+		strictEqual(new SUDOKU.Board(result).hasWon(), true);
+	});
+}(jQuery));
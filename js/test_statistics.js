@@ -0,0 +1,85 @@
+/*globals jQuery */
+/*globals module, test, equal, deepEqual, strictEqual */
+/*globals SUDOKU */
+
+(function($) {
+	"use strict";
+
+	var Statistics = SUDOKU.Statistics;
+	var storageKey = "sudoku.statistics";
+	var backup;
+
+	module("Statistics tests", {
+		setup: function() {
+			// Keep the statistics recorded by the page itself.
+			backup = window.localStorage.getItem(storageKey);
+			Statistics.reset();
+		},
+		teardown: function() {
+			if (backup === null) {
+				window.localStorage.removeItem(storageKey);
+			} else {
+				window.localStorage.setItem(storageKey, backup);
+			}
+		}
+	});
+
+	test("Games and streaks", function() {
+		var stats = Statistics.get();
+		strictEqual(stats.started, 0);
+		strictEqual(stats.winRate, 0);
+
+		Statistics.gameStarted();
+		Statistics.gameCompleted("easy", 1000);
+		Statistics.gameStarted();
+		Statistics.gameCompleted("easy", 2000);
+		Statistics.gameStarted();
+		Statistics.gameAbandoned("c");
+		Statistics.gameStarted();
+		Statistics.gameCompleted("hard", 5000);
+
+		stats = Statistics.get();
+		strictEqual(stats.started, 4);
+		strictEqual(stats.completed, 3);
+		strictEqual(stats.abandoned, 1);
+		strictEqual(stats.winRate, 0.75);
+		strictEqual(stats.currentStreak, 1);
+		strictEqual(stats.longestStreak, 2);
+	});
+
+	test("Abandoning and resuming", function() {
+		Statistics.gameStarted();
+		Statistics.gameAbandoned("a");
+		Statistics.gameAbandoned("a");
+		strictEqual(Statistics.get().abandoned, 1);
+
+		Statistics.gameResumed("a");
+		strictEqual(Statistics.get().abandoned, 0);
+		Statistics.gameResumed("a");
+		strictEqual(Statistics.get().abandoned, 0);
+	});
+
+	test("Times per difficulty", function() {
+		var stats;
+		Statistics.gameCompleted("easy", 1000);
+		Statistics.gameCompleted("easy", 4000);
+		Statistics.gameCompleted("expert", 9000);
+
+		stats = Statistics.get();
+		deepEqual(stats.difficulties.easy, { completed: 2, averageTime: 2500, bestTime: 1000 });
+		deepEqual(stats.difficulties.medium, { completed: 0, averageTime: null, bestTime: null });
+		deepEqual(stats.difficulties.expert, { completed: 1, averageTime: 9000, bestTime: 9000 });
+	});
+
+	test("Hints, mistakes and reset", function() {
+		Statistics.hintUsed();
+		Statistics.hintUsed();
+		Statistics.mistakeMade();
+		strictEqual(Statistics.get().hintsUsed, 2);
+		strictEqual(Statistics.get().mistakes, 1);
+
+		Statistics.reset();
+		strictEqual(Statistics.get().hintsUsed, 0);
+		strictEqual(Statistics.get().mistakes, 0);
+	});
+}(jQuery));
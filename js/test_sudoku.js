@@ -1,5 +1,5 @@
 /*globals jQuery */
-/*globals module, test, equal, deepEqual, strictEqual */
+/*globals module, test, equal, deepEqual, strictEqual, notEqual, ok */
 /*globals SUDOKU */
 
 (function($) {
@@ -76,6 +76,16 @@
 		deepEqual(board.getCell(3, 3), new SUDOKU.Cell(3, 3, 1, true));
 	});
 	
+	test("Units", function() {
+		var units = board.getUnits();
+		strictEqual(units.length, 27);
+		deepEqual(units[0], [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+		deepEqual(units[9], [0, 9, 18, 27, 36, 45, 54, 63, 72]);
+		deepEqual(units[22], [30, 31, 32, 39, 40, 41, 48, 49, 50]);
+		deepEqual(board.getUnits("box")[4], units[22]);
+		strictEqual(board.getUnits("column").length, 9);
+	});
+
     test("Check winning condition", function() {
         solveBoard();
         strictEqual(board.hasWon(), true);
@@ -95,10 +105,466 @@
 		deepEqual(conflicts, expected)
 	});
 	
+	test("Notes", function() {
+		strictEqual(board.toggleCellNote(1, 1, 5), true);
+		strictEqual(board.toggleCellNote(1, 1, 2), true);
+		deepEqual(board.getCell(1, 1).notes, [2, 5]);
+		board.toggleCellNote(1, 1, 5);
+		deepEqual(board.getCell(1, 1).notes, [2]);
+		
+		strictEqual(board.setCellNotes(1, 2, [7, 3, 7]), true);
+		deepEqual(board.getCell(1, 2).notes, [3, 7]);
+		strictEqual(board.clearCellNotes(1, 2), true);
+		deepEqual(board.getCell(1, 2).notes, []);
+		
+		// Fixed cells can't have notes.
+		strictEqual(board.toggleCellNote(1, 5, 3), false);
+		strictEqual(board.setCellNotes(1, 5, [3]), false);
+		deepEqual(board.getCell(1, 5).notes, []);
+		
+		// Notes are not affected by copies.
+		board.getCell(1, 1).notes.push(9);
+		deepEqual(board.getCell(1, 1).notes, [2]);
+	});
+	
+	test("Fill candidates", function() {
+		board.setCellNotes(1, 1, [1]);
+		board.fillCandidates();
+		deepEqual(board.getCell(1, 1).notes, [2, 3, 5, 6, 7, 8]);
+		deepEqual(board.getCell(1, 2).notes, [2, 4, 5, 6]);
+		deepEqual(board.getCell(1, 5).notes, []);
+	});
+	
+	test("Automatic cleanup of notes", function() {
+		function noteAll() {
+			board.setCellNotes(1, 4, [2, 8]); // Same row as (1, 1)
+			board.setCellNotes(9, 1, [2, 8]); // Same column as (1, 1)
+			board.setCellNotes(3, 2, [2, 8]); // Same box as (1, 1)
+			board.setCellNotes(4, 8, [2, 8]); // Unrelated
+		}
+		
+		// Off by default.
+		noteAll();
+		board.setCellValue(1, 1, 8);
+		deepEqual(board.getCell(1, 4).notes, [2, 8]);
+		
+		board.setAutoCleanupNotes(true);
+		board.setCellValue(1, 1, 0);
+		noteAll();
+		board.setCellValue(1, 1, 8);
+		deepEqual(board.getCell(1, 4).notes, [2]);
+		deepEqual(board.getCell(9, 1).notes, [2]);
+		deepEqual(board.getCell(3, 2).notes, [2]);
+		deepEqual(board.getCell(4, 8).notes, [2, 8]);
+		
+		// Clearing a cell removes nothing.
+		board.setCellValue(1, 1, 0);
+		deepEqual(board.getCell(4, 8).notes, [2, 8]);
+	});
+	
+	test("Fill naked singles", function() {
+		var filled = board.fillNakedSingles();
+		strictEqual(filled.length, 2);
+		strictEqual(filled[0].row, 4);
+		strictEqual(filled[0].column, 2);
+		strictEqual(filled[0].value, 1);
+		strictEqual(board.getCell(6, 6).value, 2);
+		deepEqual(board.getConflicts(), []);
+	});
+	
+	test("Undo and redo", function() {
+		strictEqual(board.canUndo(), false);
+		strictEqual(board.undo(), false);
+		
+		board.setCellValue(1, 1, 8);
+		board.toggleCellNote(1, 2, 4);
+		board.setCellValue(1, 5, 3); // Fixed, so not recorded.
+		strictEqual(board.canUndo(), true);
+		
+		strictEqual(board.undo(), true);
+		deepEqual(board.getCell(1, 2).notes, []);
+		strictEqual(board.getCell(1, 1).value, 8);
+		strictEqual(board.undo(), true);
+		strictEqual(board.getCell(1, 1).value, 0);
+		strictEqual(board.canUndo(), false);
+		
+		strictEqual(board.canRedo(), true);
+		strictEqual(board.redo(), true);
+		strictEqual(board.getCell(1, 1).value, 8);
+		
+		// A new change drops the undone changes.
+		board.setCellValue(1, 1, 2);
+		strictEqual(board.canRedo(), false);
+		strictEqual(board.redo(), false);
+	});
+	
+	test("Undo bulk changes", function() {
+		board.setCellValue(1, 1, 8);
+		board.fillCandidates();
+		board.restart();
+		strictEqual(board.getCell(1, 1).value, 0);
+		
+		board.undo();
+		strictEqual(board.getCell(1, 1).value, 8);
+		deepEqual(board.getCell(1, 2).notes, [2, 4, 5, 6]);
+		board.undo();
+		deepEqual(board.getCell(1, 2).notes, []);
+		deepEqual(board.getCell(9, 9).notes, []);
+		
+		board.setAutoCleanupNotes(true);
+		board.setCellNotes(1, 4, [2, 8]);
+		board.setCellValue(1, 3, 8);
+		board.undo();
+		deepEqual(board.getCell(1, 4).notes, [2, 8]);
+		strictEqual(board.getCell(1, 3).value, 0);
+		
+		board.clearHistory();
+		strictEqual(board.canUndo(), false);
+		strictEqual(board.canRedo(), false);
+	});
+	
+	test("Board definition", function() {
+		board.setCellValue(1, 1, 8);
+		strictEqual(board.getBoardDef(), boardDef);
+		strictEqual(board.getBoardDef(true), "8" + boardDef.substr(1));
+	});
+	
+	test("Board sizes", function() {
+		var small = new SUDOKU.Board("1000000000000000");
+		var rectangular = new SUDOKU.Board(new Array(37).join("0"));
+		var large = new SUDOKU.Board("G" + new Array(256).join("0"));
+		
+		strictEqual(small.getSize(), 4);
+		deepEqual(small.getBoxSize(), { width: 2, height: 2 });
+		strictEqual(small.getUnits().length, 12);
+		deepEqual(small.getUnits("box")[1], [2, 3, 6, 7]);
+		small.fillCandidates();
+		deepEqual(small.getCell(1, 2).notes, [2, 3, 4]);
+		
+		strictEqual(rectangular.getSize(), 6);
+		deepEqual(rectangular.getBoxSize(), { width: 3, height: 2 });
+		deepEqual(rectangular.getUnits("box")[1], [3, 4, 5, 9, 10, 11]);
+		deepEqual(new SUDOKU.Board(new Array(145).join("0")).getBoxSize(), { width: 4, height: 3 });
+		
+		strictEqual(large.getCell(1, 1).value, 16);
+		strictEqual(large.getBoardDef().charAt(0), "G");
+		strictEqual(large.getDefinition(), large.getBoardDef());
+		strictEqual(new SUDOKU.Board("a" + new Array(256).join("0")).getCell(1, 1).value, 10);
+	});
+	
+	function errorMessage(create) {
+		try {
+			create();
+		} catch (e) {
+			return e.message;
+		}
+		return null;
+	}
+	
+	test("Box shapes", function() {
+		var emptyDef = new Array(37).join("0");
+		var tall = new SUDOKU.Board(emptyDef, { boxWidth: 2, boxHeight: 3 });
+		var fromDefinition;
+		
+		strictEqual(tall.getDefinition(), emptyDef + ";box=2x3");
+		fromDefinition = new SUDOKU.Board(tall.getDefinition());
+		deepEqual(fromDefinition.getBoxSize(), { width: 2, height: 3 });
+		deepEqual(fromDefinition.getUnits("box")[1], [2, 3, 8, 9, 14, 15]);
+		strictEqual(fromDefinition.getDefinition(), tall.getDefinition());
+		// The default shape isn't written.
+		strictEqual(new SUDOKU.Board(emptyDef + ";box=3x2").getDefinition(), emptyDef);
+		
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(emptyDef + ";box=4x2"); }),
+				"Invalid box size");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(emptyDef + ";box=2"); }),
+				"Invalid board definition (unknown section)");
+	});
+	
+	test("Invalid board sizes", function() {
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(new Array(50).join("0")); }),
+				"Invalid board definition (wrong length)");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(new Array(26).join("0")); }),
+				"Invalid board definition (wrong length)");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(new Array(37).join("0"), { boxWidth: 4, boxHeight: 2 }); }),
+				"Invalid box size");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board("5000000000000000"); }),
+				"Invalid board definition (invalid cell value)");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(new Array(37).join("0")).getCode(); }),
+				"Board codes are only supported for classic 9x9 boards");
+	});
+	
+	test("Constraints", function() {
+		var diagonal = new SUDOKU.Board(boardDef + ";rules=diagonal");
+		var antiKnight = new SUDOKU.Board(new Array(82).join("0"), { constraints: ["antiKnight"] });
+		var custom;
+		
+		deepEqual(diagonal.getConstraints(), ["diagonal"]);
+		strictEqual(diagonal.getDefinition(), boardDef + ";rules=diagonal");
+		strictEqual(board.getDefinition(), boardDef);
+		strictEqual(diagonal.getUnits().length, 29);
+		deepEqual(diagonal.getUnits("diagonal"), [[0, 10, 20, 30, 40, 50, 60, 70, 80],
+		                                          [8, 16, 24, 32, 40, 48, 56, 64, 72]]);
+		strictEqual(antiKnight.getPairs().length, 224);
+		strictEqual(new SUDOKU.Board(boardDef, { constraints: ["antiKing"] }).getPairs().length, 128);
+		
+		// Only conflicts on the diagonal, with (3, 3) and (7, 7).
+		diagonal.setCellValue(4, 4, 1);
+		deepEqual(diagonal.getConflicts(), [new SUDOKU.Cell(3, 3, 1, true), new SUDOKU.Cell(4, 4, 1, false),
+		                                    new SUDOKU.Cell(7, 7, 1, true)]);
+		board.setCellValue(4, 4, 1);
+		deepEqual(board.getConflicts(), []);
+		
+		antiKnight.setCellValue(4, 4, 9);
+		antiKnight.setCellValue(5, 2, 9);
+		antiKnight.setCellValue(6, 7, 9);
+		deepEqual(antiKnight.getConflicts(), [new SUDOKU.Cell(4, 4, 9, false), new SUDOKU.Cell(5, 2, 9, false)]);
+		
+		// The classic solution has repeated values on the diagonals.
+		strictEqual(new SUDOKU.Board(solution).hasWon(), true);
+		strictEqual(new SUDOKU.Board(solution + ";rules=diagonal").hasWon(), false);
+		
+		SUDOKU.registerConstraint("testCorners", {
+			getPairs: function(size) {
+				return [[0, size * size - 1]];
+			}
+		});
+		custom = new SUDOKU.Board(boardDef + ";rules=testCorners");
+		custom.setCellValue(1, 1, 2);
+		custom.setCellValue(9, 9, 2);
+		deepEqual(custom.getConflicts(), [new SUDOKU.Cell(1, 1, 2, false), new SUDOKU.Cell(9, 9, 2, false)]);
+		
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(boardDef + ";rules=unknown"); }),
+				"Invalid board definition (unknown constraint)");
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(boardDef + ";unknown=diagonal"); }),
+				"Invalid board definition (unknown section)");
+		strictEqual(errorMessage(function() { return diagonal.getCode(); }),
+				"Board codes are only supported for classic 9x9 boards");
+	});
+	
+	test("Killer cages", function() {
+		var killer = new SUDOKU.Board(boardDef + ";cages=12:1,0/20:2,11,12");
+		
+		deepEqual(killer.getCages(), [{ sum: 12, cells: [0, 1] }, { sum: 20, cells: [2, 11, 12] }]);
+		strictEqual(killer.getDefinition(), boardDef + ";cages=12:0,1/20:2,11,12");
+		strictEqual(new SUDOKU.Board(killer.getDefinition()).getDefinition(), killer.getDefinition());
+		
+		// Too much for the cage.
+		killer.setCellValue(1, 1, 8);
+		killer.setCellValue(1, 2, 5);
+		deepEqual(killer.getConflicts(), [new SUDOKU.Cell(1, 1, 8, false), new SUDOKU.Cell(1, 2, 5, false)]);
+		// Full, but too little.
+		killer.setCellValue(1, 1, 2);
+		killer.setCellValue(1, 2, 4);
+		deepEqual(killer.getConflicts(), [new SUDOKU.Cell(1, 1, 2, false), new SUDOKU.Cell(1, 2, 4, false)]);
+		killer.setCellValue(1, 1, 8);
+		killer.setCellValue(1, 2, 4);
+		deepEqual(killer.getConflicts(), []);
+		
+		// Only a conflict within the cage, with (2, 4).
+		killer.setCellValue(1, 3, 7);
+		deepEqual(killer.getConflicts(), [new SUDOKU.Cell(1, 3, 7, false), new SUDOKU.Cell(2, 4, 7, true)]);
+		
+		strictEqual(new SUDOKU.Board(solution + ";cages=12:0,1").hasWon(), true);
+		strictEqual(new SUDOKU.Board(solution + ";cages=13:0,1").hasWon(), false);
+		// The sum is right, but 7 repeats.
+		strictEqual(new SUDOKU.Board(solution + ";cages=14:2,12").hasWon(), false);
+		
+		$.each(["3:0,1/4:1,2", "3:81", "x:0", "3", "0:0"], function(i, cages) {
+			strictEqual(errorMessage(function() { return new SUDOKU.Board(boardDef + ";cages=" + cages); }),
+					"Invalid board definition (invalid cage)");
+		});
+	});
+	
+	test("Edge markers", function() {
+		var kropki = new SUDOKU.Board(boardDef + ";edges=b:1,0/w:2,3/g:4,5");
+		
+		deepEqual(kropki.getEdges(), [{ type: "b", cells: [1, 0] }, { type: "w", cells: [2, 3] }, { type: "g", cells: [4, 5] }]);
+		strictEqual(kropki.getDefinition(), boardDef + ";edges=b:1,0/w:2,3/g:4,5");
+		strictEqual(new SUDOKU.Board(kropki.getDefinition()).getDefinition(), kropki.getDefinition());
+		
+		// One value isn't double the other.
+		kropki.setCellValue(1, 1, 8);
+		kropki.setCellValue(1, 2, 5);
+		deepEqual(kropki.getConflicts(), [new SUDOKU.Cell(1, 1, 8, false), new SUDOKU.Cell(1, 2, 5, false)]);
+		kropki.setCellValue(1, 2, 4);
+		deepEqual(kropki.getConflicts(), []);
+		// Not consecutive.
+		kropki.setCellValue(1, 3, 7);
+		kropki.setCellValue(1, 4, 5);
+		deepEqual(kropki.getConflicts(), [new SUDOKU.Cell(1, 3, 7, false), new SUDOKU.Cell(1, 4, 5, false)]);
+		kropki.setCellValue(1, 4, 6);
+		deepEqual(kropki.getConflicts(), []);
+		// The givens 9 and 1 break a sign saying that the 1 is larger.
+		deepEqual(new SUDOKU.Board(boardDef + ";edges=g:5,4").getConflicts(),
+				[new SUDOKU.Cell(1, 5, 9, true), new SUDOKU.Cell(1, 6, 1, true)]);
+		
+		strictEqual(new SUDOKU.Board(solution + ";edges=b:1,0/w:2,3/g:4,5/w:1,10").hasWon(), true);
+		strictEqual(new SUDOKU.Board(solution + ";edges=w:0,1").hasWon(), false);
+		strictEqual(new SUDOKU.Board(solution + ";edges=g:5,4").hasWon(), false);
+		
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(boardDef).setState(kropki.getState()); }),
+				"Invalid board state (different board)");
+		
+		// Unknown type, not neighbours, on the same border twice, and not two cells.
+		$.each(["x:0,1", "w:0,2", "w:8,9", "w:0,10", "w:0,1/b:1,0", "w:0", "w:0,81", "w:0,0"], function(i, edges) {
+			strictEqual(errorMessage(function() { return new SUDOKU.Board(boardDef + ";edges=" + edges); }),
+					"Invalid board definition (invalid edge)");
+		});
+	});
+	
+	test("Jigsaw regions", function() {
+		// The classic boxes, with (1, 4) in the first region and (3, 3) in the second.
+		var regions = "111122333111222333112222333" + "444555666444555666444555666" + "777888999777888999777888999";
+		var emptyDef = new Array(82).join("0");
+		var jigsaw = new SUDOKU.Board(emptyDef + ";regions=" + regions);
+		
+		strictEqual(jigsaw.getRegions(), regions);
+		strictEqual(board.getRegions(), null);
+		deepEqual(jigsaw.getUnits("box")[0], [0, 1, 2, 3, 9, 10, 11, 18, 19]);
+		deepEqual(jigsaw.getUnits("box")[1], [4, 5, 12, 13, 14, 20, 21, 22, 23]);
+		strictEqual(jigsaw.getDefinition(), emptyDef + ";regions=" + regions);
+		// Any characters can label the regions.
+		strictEqual(new SUDOKU.Board(emptyDef + ";regions=" + regions.replace(/1/g, "x")).getRegions(), regions);
+		
+		// In the same region, but not the same box.
+		jigsaw.setCellValue(2, 2, 5);
+		jigsaw.setCellValue(1, 4, 5);
+		deepEqual(jigsaw.getConflicts(), [new SUDOKU.Cell(1, 4, 5, false), new SUDOKU.Cell(2, 2, 5, false)]);
+		// In the same box, but not the same region.
+		jigsaw.setCellValue(1, 4, 0);
+		jigsaw.setCellValue(3, 3, 5);
+		deepEqual(jigsaw.getConflicts(), []);
+		
+		strictEqual(new SUDOKU.Board(solution + ";regions=" + regions).hasWon(), false);
+		
+		$.each([
+			// Too short.
+			regions.substr(1),
+			// Ten cells in the first region and eight in the second.
+			"111112333" + regions.substr(9),
+			// The first and last regions in two parts each.
+			"9" + regions.substr(1, 79) + "1",
+			// Ten regions.
+			regions.substr(0, 80) + "0"
+		], function(i, invalid) {
+			strictEqual(errorMessage(function() { return new SUDOKU.Board(emptyDef + ";regions=" + invalid); }),
+					"Invalid board definition (invalid regions)");
+		});
+	});
+	
+	test("Samurai", function() {
+		var emptyDef = new Array(21 * 21 + 1).join("0");
+		var samurai = new SUDOKU.Board(emptyDef, { grids: SUDOKU.Board.SAMURAI });
+		var definition = emptyDef + ";grids=1,1/1,13/7,7/13,1/13,13";
+		
+		strictEqual(samurai.getSize(), 9);
+		strictEqual(samurai.getWidth(), 21);
+		deepEqual(samurai.getGrids(), SUDOKU.Board.SAMURAI);
+		strictEqual(samurai.getDefinition(), definition);
+		deepEqual(new SUDOKU.Board(definition).getGrids(), SUDOKU.Board.SAMURAI);
+		strictEqual(samurai.isInGrid(1, 1), true);
+		strictEqual(samurai.isInGrid(1, 10), false);
+		strictEqual(samurai.isInGrid(7, 10), true);
+		strictEqual(samurai.getUnits("row").length, 45);
+		// The corner boxes of the centre grid are shared.
+		strictEqual(samurai.getUnits("box").length, 41);
+		
+		// Cells between the grids can't be changed.
+		strictEqual(samurai.setCellValue(1, 10, 5), false);
+		
+		// (1, 7) is only in the top left grid and (7, 12) only in the centre grid.
+		samurai.setCellValue(1, 7, 5);
+		samurai.setCellValue(7, 12, 5);
+		deepEqual(samurai.getConflicts(), []);
+		// (7, 7) is in both, in the column of the first and the row of the second.
+		samurai.setCellValue(7, 7, 5);
+		deepEqual(samurai.getConflicts(), [new SUDOKU.Cell(1, 7, 5, false), new SUDOKU.Cell(7, 7, 5, false),
+				new SUDOKU.Cell(7, 12, 5, false)]);
+		
+		strictEqual(errorMessage(function() { return new SUDOKU.Board(emptyDef.substr(0, 9) + "5" + definition.substr(10)); }),
+				"Invalid board definition (invalid cell value)");
+		$.each(["1,1/13,13/1,12", "1,1/13,14", "1,1/13,10", "1,1/13,13/x", "1,1/13,13/0,7"], function(i, grids) {
+			strictEqual(errorMessage(function() { return new SUDOKU.Board(emptyDef + ";grids=" + grids); }),
+					"Invalid board definition (invalid grids)");
+		});
+	});
+	
+	test("Export as .sdk", function() {
+		board.setCellValue(1, 1, 8);
+		strictEqual(board.toSdk(), "[Puzzle]\n" +
+			"....91...\n...7..6..\n..1..3.4.\n..2.5.4.6\n.9...6..7\n" +
+			".784...1.\n.8.3.91..\n4.681....\n.3.......\n");
+		strictEqual(board.toSdk(true).substr(0, 18), "[Puzzle]\n8...91...");
+		strictEqual(SUDOKU.PuzzleParser.parse(board.toSdk()), boardDef);
+	});
+	
+	test("Board code", function() {
+		var restored, code;
+		
+		code = board.getCode();
+		strictEqual(code.length, 82);
+		strictEqual(/^[A-Za-z0-9_\-]+$/.test(code), true);
+		deepEqual(SUDOKU.Board.fromCode(code).getBoard(), board.getBoard());
+		
+		board.setCellValue(1, 1, 8);
+		board.setCellNotes(1, 2, [4, 5]);
+		board.setCellNotes(9, 9, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+		board.revealCell(1, 3, 7);
+		code = board.getCode();
+		strictEqual(code.length, 86);
+		
+		restored = SUDOKU.Board.fromCode(code);
+		deepEqual(restored.getBoard(), board.getBoard());
+		strictEqual(restored.getBoardDef(), boardDef);
+		strictEqual(restored.canUndo(), false);
+		strictEqual(restored.getCode(), code);
+		
+		$.each(["", code.substr(1), code.substr(0, 85), code + "AA", "x" + code.substr(1), code.replace("s", "s!")], function(i, invalid) {
+			var error = null;
+			try {
+				SUDOKU.Board.fromCode(invalid);
+			} catch (e) {
+				error = e;
+			}
+			deepEqual(error, { name: "SudokuBoardError", message: "Invalid board code" });
+		});
+	});
+	
+	test("Reveal cells", function() {
+		var revealed;
+		
+		strictEqual(board.revealCell(1, 1, 8), true);
+		deepEqual(board.getCell(1, 1), new SUDOKU.Cell(1, 1, 8, false, [], true));
+		// Revealed cells can't be changed.
+		strictEqual(board.setCellValue(1, 1, 2), false);
+		strictEqual(board.toggleCellNote(1, 1, 2), false);
+		strictEqual(board.getCell(1, 1).value, 8);
+		strictEqual(board.revealCell(1, 5, 9), false);
+		
+		board.undo();
+		deepEqual(board.getCell(1, 1), new SUDOKU.Cell(1, 1, 0, false));
+		
+		board.setCellValue(1, 2, 4); // Correct
+		board.setCellValue(1, 3, 5); // Incorrect
+		revealed = board.revealAll(solution);
+		// Everything but the givens and the correct entry.
+		strictEqual(revealed.length, boardDef.match(/0/g).length - 1);
+		deepEqual(board.getCell(1, 2), new SUDOKU.Cell(1, 2, 4, false));
+		deepEqual(board.getCell(1, 3), new SUDOKU.Cell(1, 3, 7, false, [], true));
+		strictEqual(board.hasWon(), true);
+		
+		board.undo();
+		strictEqual(board.getCell(1, 3).value, 5);
+		board.restart();
+		strictEqual(board.getCell(1, 3).isRevealed, false);
+	});
+	
 	test("Restart", function() {
 	    board.setCellValue(1, 1, 3);
 	    board.setCellValue(3, 2, 5);
+	    board.toggleCellNote(4, 1, 3);
 	    board.restart();
+	    deepEqual(board.getCell(4, 1).notes, []);
 	    deepEqual(board.getCell(1, 1), new SUDOKU.Cell(1, 1, 0, false));
 	    deepEqual(board.getCell(3, 2), new SUDOKU.Cell(3, 2, 0, false));
 	    deepEqual(board.getCell(8, 1), new SUDOKU.Cell(8, 1, 4, true));
@@ -111,6 +577,80 @@
        deepEqual(board.hasWon(), false);
     });
     
+    test("Events", function() {
+        var events = [];
+        
+        function record(event) {
+            board.on(event, function(data) {
+                events.push({ event: event, data: data });
+            });
+        }
+        
+        $.each(["cellChanged", "unitCompleted", "conflictsChanged", "won", "restarted"], function(i, event) {
+            record(event);
+        });
+        
+        board.setCellValue(1, 1, 8);
+        deepEqual(events, [{
+            event: "cellChanged",
+            data: { cell: new SUDOKU.Cell(1, 1, 8, false), previous: { value: 0, notes: [], isRevealed: false } }
+        }]);
+        
+        // A conflict with the 9s in (1, 5) and (5, 2).
+        events = [];
+        board.setCellValue(1, 2, 9);
+        deepEqual($.map(events, function(e) { return e.event; }), ["cellChanged", "conflictsChanged"]);
+        deepEqual(events[1].data.conflicts, [
+            new SUDOKU.Cell(1, 2, 9, false), new SUDOKU.Cell(1, 5, 9, true), new SUDOKU.Cell(5, 2, 9, true)
+        ]);
+        
+        events = [];
+        board.undo();
+        deepEqual($.map(events, function(e) { return e.event; }), ["cellChanged", "conflictsChanged"]);
+        deepEqual(events[0].data.cell, new SUDOKU.Cell(1, 2, 0, false));
+        deepEqual(events[1].data.conflicts, []);
+        
+        // Notes don't change conflicts.
+        events = [];
+        board.toggleCellNote(1, 2, 4);
+        deepEqual($.map(events, function(e) { return e.event; }), ["cellChanged"]);
+        
+        // Complete the first row.
+        events = [];
+        $.each([4, 7, 6, 3, 5, 2], function(i, value) {
+            board.setCellValue(1, [2, 3, 4, 7, 8, 9][i], value);
+        });
+        deepEqual($.map(events, function(e) { return e.event; }).slice(-2), ["cellChanged", "unitCompleted"]);
+        strictEqual(events[events.length - 1].data.type, "row");
+        strictEqual(events[events.length - 1].data.number, 1);
+        strictEqual(events[events.length - 1].data.cells.length, 9);
+        
+        events = [];
+        solveBoard();
+        strictEqual(events[events.length - 1].event, "won");
+        
+        events = [];
+        board.off("cellChanged");
+        board.restart();
+        deepEqual($.map(events, function(e) { return e.event; }), ["restarted"]);
+    });
+    
+    test("Puzzle ids", function() {
+        strictEqual(SUDOKU.getPuzzleById(1), SUDOKU.sudokuBoards[0]);
+        strictEqual(SUDOKU.getPuzzleById("412"), SUDOKU.sudokuBoards[411]);
+        strictEqual(SUDOKU.getPuzzleById(SUDOKU.sudokuBoards.length), SUDOKU.sudokuBoards[SUDOKU.sudokuBoards.length - 1]);
+        strictEqual(SUDOKU.getPuzzleById(0), null);
+        strictEqual(SUDOKU.getPuzzleById(SUDOKU.sudokuBoards.length + 1), null);
+        strictEqual(SUDOKU.getPuzzleById("1.5"), null);
+        strictEqual(SUDOKU.getPuzzleById("abc"), null);
+        
+        strictEqual(SUDOKU.getPuzzleId(boardDef), 1);
+        strictEqual(SUDOKU.getPuzzleId(SUDOKU.sudokuBoards[499]), 500);
+        // Listed twice.
+        strictEqual(SUDOKU.getPuzzleId(SUDOKU.sudokuBoards[418]), 412);
+        strictEqual(SUDOKU.getPuzzleId(solution), null);
+    });
+    
     function solveBoard() {
         var i;
         var row, col;
@@ -129,3 +669,447 @@
         }
     }
 }(jQuery));
+
+(function($) {
+	"use strict";
+	
+	var boardDef = "000091000000700600001003040002050406090006007078400010080309100406810000030000000";
+	var solution = "847691352253748691961523748312957486594186237678432519785369124426815973139274865";
+	// The first step only rules out candidates: locked candidates in box 1.
+	var eliminationDef = "090057300070100905050069748005030407700001002009070080080605000903718054510020800";
+	var storageKeys = ["sudoku.statistics", "sudoku.savedGames", "sudoku.bestTimes"];
+	var backups;
+	var runners;
+	
+	module("Sudoku runner tests", {
+		setup: function() {
+			// Keep the games and statistics recorded by the page itself.
+			backups = $.map(storageKeys, function(key) {
+				return window.localStorage.getItem(key);
+			});
+			runners = [];
+		},
+		teardown: function() {
+			// The runners of other tests mustn't see their clicks and keys.
+			$.each(runners, function(i, runner) {
+				runner.destroy();
+			});
+			$.each(storageKeys, function(i, key) {
+				if (backups[i] === null) {
+					window.localStorage.removeItem(key);
+				} else {
+					window.localStorage.setItem(key, backups[i]);
+				}
+			});
+		}
+	});
+	
+	/**
+	 * Creates a runner that is destroyed after the test. Before its first game starts, it is
+	 * given to prepare, if given.
+	 */
+	function createRunner(puzzle, settings, container, prepare) {
+		var canvas = $("<canvas>").appendTo(container || "#qunit-fixture")[0];
+		var runner = new SUDOKU.SudokuRunner(undefined, puzzle);
+		runners.push(runner);
+		if (prepare) {
+			prepare(runner);
+		}
+		runner.runInCanvas(canvas, settings);
+		return runner;
+	}
+	
+	/**
+	 * Returns the code of a position with everything but r1c1 filled in.
+	 */
+	function getAlmostSolvedCode() {
+		var board = new SUDOKU.Board(boardDef);
+		$.each(board.getBoard(), function(idx, cell) {
+			if (idx > 0 && !cell.isFixed) {
+				board.setCellValue(cell.row, cell.column, Number(solution.charAt(idx)));
+			}
+		});
+		return board.getCode();
+	}
+	
+	test("Hint levels", function() {
+		var runner = createRunner(eliminationDef);
+		var hintEvents = [];
+		var first, second, third, next;
+		
+		runner.on("hintUsed", function(data) {
+			hintEvents.push(data.hintsUsed);
+		});
+		first = runner.hint();
+		
+		strictEqual(first.level, 1);
+		strictEqual(first.step.technique, SUDOKU.LogicSolver.LOCKED_CANDIDATES);
+		strictEqual(first.message, "Look closely at box 1.");
+		
+		second = runner.hint();
+		strictEqual(second.level, 2);
+		strictEqual(second.message, "Try this technique in box 1: Locked candidates.");
+		deepEqual(second.step, first.step);
+		
+		third = runner.hint();
+		strictEqual(third.level, 3);
+		strictEqual(third.message, first.step.description + ".");
+		
+		// The candidates the hint ruled out stay ruled out, so the next hint moves on.
+		next = runner.hint();
+		strictEqual(next.level, 1);
+		notEqual(next.step.description, first.step.description);
+		
+		strictEqual(runner.getHintsUsed(), 4);
+		deepEqual(hintEvents, [1, 2, 3, 4]);
+	});
+	
+	test("Hint placing a value", function() {
+		var runner = createRunner(boardDef);
+		var step = runner.hint().step;
+		var placement = step.placements[0];
+		
+		runner.hint();
+		strictEqual(runner.hint().level, 3);
+		strictEqual(SUDOKU.Board.fromCode(runner.getCode()).getCell(placement.row, placement.column).value,
+				placement.value);
+		strictEqual(runner.hint().level, 1);
+	});
+	
+	test("Hint with wrong entries", function() {
+		var board = new SUDOKU.Board(boardDef);
+		var runner, hint;
+		
+		// The solution has 8 here.
+		board.setCellValue(1, 1, 3);
+		runner = createRunner(board.getCode());
+		hint = runner.hint();
+		strictEqual(hint.level, 0);
+		strictEqual(hint.message, "Some of your entries are wrong. Fix them before asking for a hint.");
+		strictEqual(hint.step, null);
+		strictEqual(runner.getHintsUsed(), 0);
+	});
+	
+	test("Statistics of restarted games", function() {
+		var runner, stats, firstId;
+		
+		SUDOKU.Statistics.reset();
+		runner = createRunner(getAlmostSolvedCode(), undefined, undefined, SUDOKU.Statistics.track);
+		firstId = runner.getGameId();
+		runner.fillNakedSingles();
+		strictEqual(runner.hasWon(), true);
+		
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 1);
+		
+		// Playing again is a new game, and winning that doesn't complete the first one again.
+		// It counts as started at its first move.
+		runner.restart();
+		notEqual(runner.getGameId(), firstId);
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 1);
+		runner.revealAll();
+		runner.restart();
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 2);
+		strictEqual(stats.completed, 1);
+		strictEqual(stats.abandoned, 1);
+		
+		// Restarting an unfinished game abandons it, unless no move was made in it.
+		runner.restart();
+		strictEqual(SUDOKU.Statistics.get().abandoned, 1);
+		runner.hint();
+		runner.restart();
+		runner.hint();
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 4);
+		strictEqual(stats.abandoned, 2);
+		strictEqual(stats.hintsUsed, 2);
+	});
+	
+	test("Restart", function() {
+		var runner = createRunner(boardDef);
+		SUDOKU.SavedGames.save({
+			id: "saved",
+			difficulty: null,
+			board: new SUDOKU.Board(boardDef).getState(),
+			elapsedTime: 100000,
+			hintsUsed: 3,
+			mistakes: 2
+		});
+		strictEqual(runner.resumeGame("saved"), true);
+		strictEqual(runner.getElapsedTime() >= 100000, true);
+		
+		// Playing again is a new game, with its own time, hints and mistakes.
+		runner.restart();
+		strictEqual(runner.getElapsedTime() < 100000, true);
+		strictEqual(runner.getHintsUsed(), 0);
+		strictEqual(runner.getMistakes(), 0);
+		strictEqual(SUDOKU.SavedGames.load("saved"), null);
+	});
+	
+	test("Statistics when resuming a game", function() {
+		var runner, stats;
+		
+		SUDOKU.Statistics.reset();
+		SUDOKU.SavedGames.save({
+			id: "saved",
+			difficulty: null,
+			board: new SUDOKU.Board(boardDef).getState(),
+			elapsedTime: 1000,
+			hintsUsed: 0,
+			mistakes: 0
+		});
+		// The game shown when the page is opened isn't counted if another one is resumed first.
+		runner = createRunner(undefined, undefined, undefined, SUDOKU.Statistics.track);
+		strictEqual(runner.resumeGame("saved"), true);
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 0);
+		strictEqual(stats.abandoned, 0);
+		
+		// A resumed game was started already, but leaving it gives it up.
+		runner.newGame();
+		stats = SUDOKU.Statistics.get();
+		strictEqual(stats.started, 0);
+		strictEqual(stats.abandoned, 1);
+	});
+	
+	test("Resuming a broken save", function() {
+		var runner = createRunner(boardDef);
+		var state = new SUDOKU.Board(boardDef).getState();
+		var gameId = runner.getGameId();
+		state.boardDef = "12345";
+		SUDOKU.SavedGames.save({ id: "broken", difficulty: null, board: state, elapsedTime: 0, hintsUsed: 0, mistakes: 0 });
+		strictEqual(runner.resumeGame("broken"), false);
+		strictEqual(SUDOKU.SavedGames.load("broken"), null);
+		// A new game is played instead.
+		notEqual(runner.getGameId(), gameId);
+	});
+	
+	test("New Killer game", function() {
+		var runner = createRunner(boardDef);
+		strictEqual(runner.getVariant(), null);
+		strictEqual(runner.newGame(undefined, undefined, undefined, undefined, "killer"), true);
+		strictEqual(runner.getVariant(), "killer");
+		strictEqual(new SUDOKU.Board(runner.getPuzzle()).getCages().length > 0, true);
+		// The variant is kept for the next game.
+		runner.newGame();
+		strictEqual(new SUDOKU.Board(runner.getPuzzle()).getCages().length > 0, true);
+		runner.newGame(undefined, undefined, undefined, undefined, null);
+		strictEqual(runner.getVariant(), null);
+		strictEqual(runner.getPuzzle(), new SUDOKU.Board(runner.getPuzzle()).getBoardDef());
+	});
+	
+	test("New Kropki game", function() {
+		var runner = createRunner(boardDef);
+		strictEqual(runner.newGame(undefined, 6, undefined, undefined, "kropki"), true);
+		strictEqual(runner.getVariant(), "kropki");
+		strictEqual(new SUDOKU.Board(runner.getPuzzle()).getEdges().length > 0, true);
+		// Greater-than signs aren't Kropki dots.
+		runner.loadPuzzle(boardDef + ";edges=g:0,1");
+		strictEqual(runner.getVariant(), null);
+	});
+	
+	test("New Jigsaw game", function() {
+		var runner = createRunner(boardDef);
+		strictEqual(runner.newGame(undefined, undefined, undefined, undefined, "jigsaw"), true);
+		strictEqual(runner.getVariant(), "jigsaw");
+		strictEqual(new SUDOKU.Board(runner.getPuzzle()).getRegions() !== null, true);
+		// A region map covers one grid.
+		strictEqual(runner.newGame(undefined, undefined, undefined, SUDOKU.Board.SAMURAI), false);
+		strictEqual(runner.getVariant(), "jigsaw");
+		deepEqual(runner.getGrids(), [{ row: 1, column: 1 }]);
+	});
+	
+	test("Puzzles without a single solution", function() {
+		var runner = createRunner(boardDef);
+		var ambiguousDef = "1" + new Array(81).join("0");
+		strictEqual(runner.loadPuzzle(ambiguousDef), false);
+		strictEqual(runner.loadPuzzle("9" + boardDef.substr(1)), false);
+		strictEqual(runner.getPuzzle(), boardDef);
+		notEqual(createRunner(ambiguousDef).getPuzzle(), ambiguousDef);
+	});
+	
+	test("Typing in form fields", function() {
+		var runner = createRunner(boardDef);
+		var $input = $("<input>").appendTo("#qunit-fixture");
+		// P pauses, but not while typing in the field.
+		$input.trigger($.Event("keydown", { which: 80 }));
+		strictEqual(runner.isPaused(), false);
+		$("#qunit-fixture").trigger($.Event("keydown", { which: 80 }));
+		strictEqual(runner.isPaused(), true);
+	});
+	
+	test("Destroy", function() {
+		var runner = createRunner(boardDef);
+		var other = createRunner(boardDef);
+		// Destroying a runner leaves the events of the page to the other runners.
+		runner.destroy();
+		$("#qunit-fixture").trigger($.Event("keydown", { which: 80 }));
+		strictEqual(runner.isPaused(), false);
+		strictEqual(other.isPaused(), true);
+	});
+	
+	test("Hint after winning", function() {
+		var runner = createRunner(boardDef);
+		runner.revealAll();
+		strictEqual(runner.hint(), null);
+		strictEqual(runner.getHintsUsed(), 0);
+	});
+	
+	test("Canvas size", function() {
+		var pixelRatio = window.devicePixelRatio || 1;
+		var $narrow = $("<div>").css("width", "250px").appendTo("#qunit-fixture");
+		var $wide = $("<div>").css("width", "2000px").appendTo("#qunit-fixture");
+		var $canvas;
+		
+		createRunner(boardDef);
+		$canvas = $("#qunit-fixture canvas");
+		// The canvas has a pixel for each screen pixel.
+		strictEqual($canvas[0].width, Math.round($canvas.width() * pixelRatio));
+		strictEqual($canvas[0].height, Math.round($canvas.height() * pixelRatio));
+		
+		createRunner(boardDef, { adjustToCanvas: true }, $narrow);
+		ok($narrow.find("canvas").width() <= 250);
+		ok($narrow.find("canvas").width() > 200);
+		
+		// The cells only grow to the largest size.
+		createRunner(boardDef, { cellSize: 60 });
+		createRunner(boardDef, { adjustToCanvas: true, maxCellSize: 60 }, $wide);
+		strictEqual($wide.find("canvas").width(), $("#qunit-fixture > canvas").last().width());
+	});
+	
+	test("Themes", function() {
+		var themeEvents = [];
+		var runner = createRunner(boardDef, { theme: "light", borderColor: "#336699" }, undefined, function(newRunner) {
+			newRunner.on("themeChanged", function(data) {
+				themeEvents.push(data);
+			});
+		});
+		var light;
+		
+		strictEqual(themeEvents.length, 1);
+		strictEqual(themeEvents[0].theme, "light");
+		light = themeEvents[0].colors;
+		strictEqual(light.backgroundColor, "#ffffff");
+		// Colours in the settings are used whatever the theme.
+		strictEqual(light.borderColor, "#336699");
+		
+		strictEqual(runner.setTheme("dark"), true);
+		strictEqual(runner.getTheme(), "dark");
+		strictEqual(themeEvents.length, 2);
+		strictEqual(themeEvents[1].theme, "dark");
+		notEqual(themeEvents[1].colors.backgroundColor, light.backgroundColor);
+		strictEqual(themeEvents[1].colors.borderColor, "#336699");
+		
+		strictEqual(runner.setTheme("no such theme"), false);
+		strictEqual(runner.getTheme(), "dark");
+		strictEqual(themeEvents.length, 2);
+		
+		// Colours a theme leaves out are those of the light theme.
+		SUDOKU.registerTheme("testTheme", { backgroundColor: "#102030" });
+		strictEqual(runner.setTheme("testTheme"), true);
+		strictEqual(themeEvents[2].colors.backgroundColor, "#102030");
+		strictEqual(themeEvents[2].colors.cellTextColor, light.cellTextColor);
+		strictEqual(themeEvents[2].colors.winCellColor, light.winCellColor);
+		
+		// The payload is a copy, which handlers can't change the board's colours with.
+		themeEvents[2].colors.cellTextColor = "#ff0000";
+		runner.setTheme("testTheme");
+		strictEqual(themeEvents[3].colors.cellTextColor, light.cellTextColor);
+	});
+	
+	/**
+	 * Touches the board with one finger at the centre of a cell, and lifts it after moving it
+	 * by dx and dy pixels.
+	 */
+	function touchCell($canvas, row, column, dx, dy) {
+		var offset = $canvas.offset();
+		var start = {
+			pageX: offset.left + $canvas.width() * (column - 0.5) / 9,
+			pageY: offset.top + $canvas.height() * (row - 0.5) / 9
+		};
+		var end = { pageX: start.pageX + (dx || 0), pageY: start.pageY + (dy || 0) };
+		$canvas.trigger($.Event("touchstart", { originalEvent: { touches: [start], changedTouches: [start] } }));
+		$canvas.trigger($.Event("touchmove", { originalEvent: { touches: [end], changedTouches: [end] } }));
+		$canvas.trigger($.Event("touchend", { originalEvent: { touches: [], changedTouches: [end] } }));
+	}
+	
+	test("Entering values by touch", function() {
+		var runner = createRunner(boardDef);
+		var $canvas = $("#qunit-fixture canvas");
+		var activeCell = null;
+		var board;
+		
+		runner.on("activeCellChanged", function(data) {
+			activeCell = data.cell;
+		});
+		strictEqual(runner.enterValue(8), false);
+		
+		touchCell($canvas, 1, 1);
+		strictEqual(activeCell.row, 1);
+		strictEqual(activeCell.column, 1);
+		strictEqual(runner.enterValue(8), true);
+		strictEqual(runner.enterValue(10), false);
+		strictEqual(runner.enterValue(-1), false);
+		strictEqual(runner.enterValue(1.5), false);
+		strictEqual(runner.enterValue("x"), false);
+		
+		// Swiping right moves to the next cell that can be changed.
+		touchCell($canvas, 1, 1, 60, 0);
+		strictEqual(activeCell.column, 2);
+		runner.setNotesMode(true);
+		strictEqual(runner.enterValue(4), true);
+		runner.setNotesMode(false);
+		
+		runner.setPaused(true);
+		strictEqual(runner.enterValue(5), false);
+		runner.setPaused(false);
+		
+		board = SUDOKU.Board.fromCode(runner.getCode());
+		strictEqual(board.getCell(1, 1).value, 8);
+		deepEqual(board.getCell(1, 2).notes, [4]);
+		strictEqual(board.getCell(1, 2).value, 0);
+	});
+	
+	test("Keys with modifiers", function() {
+		var runner = createRunner(boardDef);
+		var $target = $("#qunit-fixture");
+		
+		function press(key, modifiers) {
+			$target.trigger($.Event("keydown", $.extend({ which: key }, modifiers)));
+		}
+		
+		// These are the browser's shortcuts, such as Ctrl+P for printing.
+		press(80, { ctrlKey: true });
+		press(80, { metaKey: true });
+		strictEqual(runner.isPaused(), false);
+		press(78, { ctrlKey: true });
+		press(78, { altKey: true });
+		strictEqual(runner.isNotesMode(), false);
+		
+		touchCell($("#qunit-fixture canvas"), 1, 1);
+		press(49, { ctrlKey: true });
+		strictEqual(runner.canUndo(), false);
+		press(49);
+		strictEqual(runner.canUndo(), true);
+		// Except for undo and redo.
+		press(90, { ctrlKey: true });
+		strictEqual(runner.canUndo(), false);
+		press(89, { metaKey: true });
+		strictEqual(runner.canUndo(), true);
+		press(90, { ctrlKey: true, altKey: true });
+		strictEqual(runner.canUndo(), true);
+	});
+	
+	test("Entering values after winning", function() {
+		var runner = createRunner(getAlmostSolvedCode());
+		var $canvas = $("#qunit-fixture canvas");
+		
+		touchCell($canvas, 1, 1);
+		strictEqual(runner.enterValue(8), true);
+		strictEqual(runner.hasWon(), true);
+		touchCell($canvas, 1, 1);
+		strictEqual(runner.enterValue(7), false);
+	});
+}(jQuery));